@@ -0,0 +1,33 @@
+const User = require('../models/User');
+
+// Create (or promote) the bootstrap admin described by ADMIN_* environment variables.
+// Existing passwords are never overwritten.
+const ensureAdminUser = async () => {
+  const { ADMIN_USERNAME, ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_USERNAME || !ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    return null;
+  }
+
+  let admin = await User.findOne({ username: ADMIN_USERNAME });
+
+  if (!admin) {
+    admin = new User({
+      username: ADMIN_USERNAME,
+      email: ADMIN_EMAIL,
+      fullName: 'Administrator',
+      role: 'admin'
+    });
+    await admin.setPassword(ADMIN_PASSWORD);
+    await admin.save();
+    console.log(`👑 Bootstrap admin "${ADMIN_USERNAME}" created`);
+  } else if (admin.role !== 'admin') {
+    admin.role = 'admin';
+    await admin.save();
+    console.log(`👑 User "${ADMIN_USERNAME}" promoted to admin`);
+  }
+
+  return admin;
+};
+
+module.exports = ensureAdminUser;
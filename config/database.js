@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const ensureAdminUser = require('./admin');
+const Project = require('../models/Project');
+const Skill = require('../models/Skill');
+const Theme = require('../models/Theme');
 
 const connectDB = async () => {
   try {
@@ -19,6 +23,30 @@ const connectDB = async () => {
     });
 
     console.log('✅ Connected to MongoDB:', conn.connection.host);
+
+    try {
+      await ensureAdminUser();
+    } catch (error) {
+      console.error('❌ Admin bootstrap error:', error.message);
+    }
+
+    try {
+      await Skill.backfillLookupKeys();
+    } catch (error) {
+      console.error('❌ Skill lookup backfill error:', error.message);
+    }
+
+    try {
+      await Theme.backfillDesignTokens();
+    } catch (error) {
+      console.error('❌ Theme design token migration error:', error.message);
+    }
+
+    try {
+      await Project.backfillGallery();
+    } catch (error) {
+      console.error('❌ Project gallery migration error:', error.message);
+    }
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     setTimeout(connectDB, 5000);
@@ -0,0 +1,116 @@
+// Roles a user can hold, from most to least privileged
+const ROLES = ['admin', 'editor', 'owner', 'viewer'];
+
+// Single source of truth for who may call each authenticated route.
+// Keys are "METHOD /path" exactly as the route is mounted in server.js.
+// Routes on owned resources (projects, portfolios, user profiles) additionally require
+// the caller to be the owner or an admin.
+const PERMISSIONS = {
+  'POST /auth/logout': ROLES,
+  'POST /auth/logout-all': ROLES,
+  'POST /auth/verify-email/resend': ROLES,
+  'GET /auth/sessions': ROLES,
+  'DELETE /auth/sessions/:id': ROLES,
+  'GET /auth/api-keys': ROLES,
+  'POST /auth/api-keys': ROLES,
+  'DELETE /auth/api-keys/:id': ROLES,
+  'POST /auth/2fa/setup': ROLES,
+  'POST /auth/2fa/verify': ROLES,
+  'POST /auth/2fa/disable': ROLES,
+  'GET /admin/audit': ['admin'],
+
+  'POST /theme': ['admin', 'editor'],
+  'POST /theme/:themeName/fork': ['admin', 'editor'],
+  'PUT /theme/:themeName': ['admin', 'editor'],
+  'DELETE /theme/:themeName': ['admin'],
+
+  'POST /user': ['admin'],
+  'PUT /user/:username': ['admin', 'editor', 'owner'],
+  'PUT /user/:username/role': ['admin'],
+  'PUT /user/:username/theme': ['admin', 'editor', 'owner'],
+  'POST /user/:username/avatar': ['admin', 'editor', 'owner'],
+  'POST /user/:username/logout-all': ['admin'],
+  'DELETE /user/:username/lockout': ['admin'],
+  'DELETE /user/:username': ['admin'],
+  'POST /user/:username/skills': ['admin', 'editor', 'owner'],
+  'PUT /user/:username/skills/:skillName': ['admin', 'editor', 'owner'],
+  'DELETE /user/:username/skills/:skillName': ['admin', 'editor', 'owner'],
+
+  'POST /project': ['admin', 'editor', 'owner'],
+  'PUT /project/:id': ['admin', 'editor', 'owner'],
+  'DELETE /project/:id': ['admin', 'editor', 'owner'],
+  'POST /project/:id/images': ['admin', 'editor', 'owner'],
+  'POST /project/:id/media': ['admin', 'editor', 'owner'],
+  'PUT /project/:id/media/order': ['admin', 'editor', 'owner'],
+  'PUT /project/:id/media/:itemId': ['admin', 'editor', 'owner'],
+  'DELETE /project/:id/media/:itemId': ['admin', 'editor', 'owner'],
+
+  'POST /skill': ['admin', 'editor', 'owner'],
+  'PUT /skill/:name': ['admin', 'editor'],
+  'DELETE /skill/:name': ['admin'],
+
+  'POST /experience': ['admin', 'editor', 'owner'],
+  'PUT /experience/:id': ['admin', 'editor', 'owner'],
+  'DELETE /experience/:id': ['admin', 'editor', 'owner'],
+
+  'POST /education': ['admin', 'editor', 'owner'],
+  'PUT /education/:id': ['admin', 'editor', 'owner'],
+  'DELETE /education/:id': ['admin', 'editor', 'owner'],
+
+  'POST /certification': ['admin', 'editor', 'owner'],
+  'PUT /certification/:id': ['admin', 'editor', 'owner'],
+  'DELETE /certification/:id': ['admin', 'editor', 'owner'],
+
+  'POST /portfolio': ['admin', 'editor', 'owner'],
+  'PUT /portfolio/:username': ['admin', 'editor', 'owner'],
+  'DELETE /portfolio/:username': ['admin', 'editor', 'owner']
+};
+
+// Resource a route belongs to, e.g. 'PUT /project/:id' -> 'project'
+const getRouteResource = (route) => route.split(' ')[1].split('/')[1];
+
+// Account and admin routes are for people: API keys are refused there rather
+// than scope-checked, so these resources have no API key scopes
+const USER_TOKEN_RESOURCES = ['auth', 'admin'];
+
+// True when a route must be called with a user's access token
+const isUserTokenRoute = (route) => USER_TOKEN_RESOURCES.includes(getRouteResource(route));
+
+// API key scope required for a route: "<resource>:read" for GET, "<resource>:write" otherwise
+const getRouteScope = (route) => {
+  const method = route.split(' ')[0];
+  return `${getRouteResource(route)}:${method === 'GET' ? 'read' : 'write'}`;
+};
+
+// Every scope an API key can be granted
+const SCOPES = [...new Set(Object.keys(PERMISSIONS)
+  .filter(route => !isUserTokenRoute(route))
+  .map(getRouteResource))]
+  .flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+// List protected routes, optionally limited to one collection (e.g. '/theme')
+const listProtectedRoutes = (basePath) => {
+  return Object.keys(PERMISSIONS).filter(route => {
+    if (!basePath) {
+      return true;
+    }
+    const path = route.split(' ')[1];
+    return path === basePath || path.startsWith(`${basePath}/`);
+  });
+};
+
+// HTTP methods that require authentication for a collection
+const listProtectedMethods = (basePath) => {
+  const methods = listProtectedRoutes(basePath).map(route => route.split(' ')[0]);
+  return [...new Set(methods)];
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  SCOPES,
+  getRouteScope,
+  isUserTokenRoute,
+  listProtectedRoutes,
+  listProtectedMethods
+};
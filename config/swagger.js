@@ -32,6 +32,11 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       },
       schemas: {
@@ -59,9 +64,75 @@ const options = {
             fontFamily: {
               type: 'string',
               enum: ['Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Verdana', 'Roboto', 'Open Sans'],
-              description: 'Font family for the theme',
+              description: 'Font family for the theme; kept in step with typography.bodyFont',
               example: 'Roboto'
             },
+            modes: {
+              type: 'object',
+              description: 'Light and dark color palettes. Missing colors are derived from primaryColor and secondaryColor.',
+              properties: {
+                light: { $ref: '#/components/schemas/ThemePalette' },
+                dark: { $ref: '#/components/schemas/ThemePalette' }
+              }
+            },
+            typography: {
+              type: 'object',
+              properties: {
+                headingFont: {
+                  type: 'string',
+                  enum: ['Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Verdana', 'Roboto', 'Open Sans'],
+                  example: 'Georgia'
+                },
+                bodyFont: {
+                  type: 'string',
+                  enum: ['Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Verdana', 'Roboto', 'Open Sans'],
+                  example: 'Roboto'
+                },
+                typeScale: {
+                  type: 'array',
+                  items: { type: 'number', minimum: 8, maximum: 128 },
+                  minItems: 3,
+                  maxItems: 10,
+                  description: 'Ascending font sizes in px',
+                  example: [12, 14, 16, 20, 24, 32, 40]
+                }
+              }
+            },
+            spacing: {
+              type: 'array',
+              items: { type: 'number', minimum: 0, maximum: 256 },
+              minItems: 1,
+              maxItems: 12,
+              description: 'Ascending spacing steps in px',
+              example: [0, 4, 8, 12, 16, 24, 32, 48, 64]
+            },
+            radius: {
+              type: 'object',
+              description: 'Border radius in px (0-64)',
+              properties: {
+                small: { type: 'number', example: 2 },
+                medium: { type: 'number', example: 4 },
+                large: { type: 'number', example: 8 }
+              }
+            },
+            parentId: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              description: 'Theme this one was forked from (GET /theme/{themeName} includes its name)'
+            },
+            overrides: {
+              type: 'array',
+              readOnly: true,
+              description: 'Fields a fork sets itself; all other fields are inherited from the parent',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string', example: 'modes.dark.accent' },
+                  value: { example: '#ee99bb' }
+                }
+              }
+            },
             isActive: {
               type: 'boolean',
               default: true,
@@ -69,6 +140,17 @@ const options = {
             }
           }
         },
+        ThemePalette: {
+          type: 'object',
+          description: 'Hex colors for one color mode',
+          properties: {
+            background: { type: 'string', pattern: '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', example: '#ffffff' },
+            surface: { type: 'string', pattern: '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', example: '#f4f4f5' },
+            text: { type: 'string', pattern: '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', example: '#18181b' },
+            accent: { type: 'string', pattern: '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', example: '#2563eb' },
+            border: { type: 'string', pattern: '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', example: '#d4d4d8' }
+          }
+        },
         User: {
           type: 'object',
           required: ['username', 'email', 'fullName'],
@@ -105,6 +187,19 @@ const options = {
               description: 'URL to profile picture',
               example: 'https://example.com/profile.jpg'
             },
+            isVerified: {
+              type: 'boolean',
+              default: false,
+              readOnly: true,
+              description: 'Whether the user has verified their email address'
+            },
+            themeId: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              description: 'Selected theme; set with PUT /user/{username}/theme. null uses the default theme',
+              example: '507f1f77bcf86cd799439013'
+            },
             isActive: {
               type: 'boolean',
               default: true,
@@ -138,6 +233,19 @@ const options = {
               description: 'Technologies used in the project',
               example: ['React', 'Node.js', 'MongoDB']
             },
+            skills: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              readOnly: true,
+              description: 'Catalog skills resolved from technologies (skill IDs, populated on reads)'
+            },
+            createMissingSkills: {
+              type: 'boolean',
+              writeOnly: true,
+              description: 'Add technologies missing from the skill catalog as new skills (category "other") instead of reporting them back'
+            },
             githubUrl: {
               type: 'string',
               pattern: '^https://github.com/.*',
@@ -150,10 +258,18 @@ const options = {
               description: 'Live project URL',
               example: 'https://myproject.netlify.app'
             },
+            media: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ProjectMediaItem'
+              },
+              maxItems: 30,
+              description: 'Gallery in display order; managed with the /project/{id}/media routes after creation'
+            },
             imageUrl: {
               type: 'string',
               format: 'uri',
-              description: 'Project image URL',
+              description: 'URL of the cover image (the first image when the cover is a video or embed). An imageUrl sent on create becomes the first gallery item.',
               example: 'https://example.com/project-image.jpg'
             },
             status: {
@@ -162,6 +278,11 @@ const options = {
               description: 'Project status',
               example: 'completed'
             },
+            isPublished: {
+              type: 'boolean',
+              default: false,
+              description: 'Whether the project is publicly published (requires a verified owner)'
+            },
             userId: {
               type: 'string',
               description: 'User ID who owns the project',
@@ -174,9 +295,56 @@ const options = {
             }
           }
         },
+        ProjectMediaItem: {
+          type: 'object',
+          required: ['type', 'url', 'altText'],
+          properties: {
+            _id: {
+              type: 'string',
+              readOnly: true,
+              description: 'Gallery item ID',
+              example: '507f1f77bcf86cd799439014'
+            },
+            type: {
+              type: 'string',
+              enum: ['image', 'video', 'embed'],
+              description: 'Image, video link, or page shown in an iframe',
+              example: 'video'
+            },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Image, video or embed URL',
+              example: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            },
+            mediaId: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              description: 'Stored media of uploaded images'
+            },
+            caption: {
+              type: 'string',
+              maxLength: 300,
+              description: 'Caption shown with the item',
+              example: 'Checkout demo'
+            },
+            altText: {
+              type: 'string',
+              maxLength: 250,
+              description: 'Text alternative for screen readers',
+              example: 'Screen recording of the checkout flow'
+            },
+            isCover: {
+              type: 'boolean',
+              default: false,
+              description: 'Whether the item is the cover; one per gallery, the first item when none is flagged'
+            }
+          }
+        },
         Skill: {
           type: 'object',
-          required: ['name', 'category', 'proficiencyLevel'],
+          required: ['name', 'category'],
           properties: {
             name: {
               type: 'string',
@@ -185,19 +353,21 @@ const options = {
               description: 'Skill name',
               example: 'JavaScript'
             },
+            aliases: {
+              type: 'array',
+              items: {
+                type: 'string',
+                maxLength: 50
+              },
+              description: 'Other names the skill is found by; names and aliases are unique across skills after normalization',
+              example: ['JS', 'ECMAScript']
+            },
             category: {
               type: 'string',
               enum: ['frontend', 'backend', 'database', 'devops', 'mobile', 'design', 'other'],
               description: 'Skill category',
               example: 'frontend'
             },
-            proficiencyLevel: {
-              type: 'integer',
-              minimum: 1,
-              maximum: 5,
-              description: 'Proficiency level from 1 to 5',
-              example: 4
-            },
             description: {
               type: 'string',
               maxLength: 200,
@@ -217,6 +387,274 @@ const options = {
             }
           }
         },
+        UserSkill: {
+          type: 'object',
+          required: ['proficiencyLevel'],
+          properties: {
+            skillName: {
+              type: 'string',
+              writeOnly: true,
+              description: 'Name of the catalog skill (alternative to skillId)',
+              example: 'JavaScript'
+            },
+            skillId: {
+              type: 'string',
+              description: 'ID of the catalog skill'
+            },
+            proficiencyLevel: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5,
+              description: "The user's proficiency from 1 to 5",
+              example: 4
+            },
+            yearsOfExperience: {
+              type: 'number',
+              minimum: 0,
+              maximum: 60,
+              example: 3
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date',
+              description: 'When the user last used the skill',
+              example: '2024-05-01'
+            },
+            isHighlighted: {
+              type: 'boolean',
+              default: false,
+              description: 'Feature the skill first on the portfolio'
+            }
+          }
+        },
+        Experience: {
+          type: 'object',
+          required: ['company', 'role', 'startDate'],
+          properties: {
+            company: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Acme Corp'
+            },
+            role: {
+              type: 'string',
+              minLength: 2,
+              maxLength: 100,
+              example: 'Senior Backend Engineer'
+            },
+            location: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Remote'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date',
+              example: '2021-03-01'
+            },
+            endDate: {
+              type: 'string',
+              nullable: true,
+              description: 'Date the position ended; send "present" (stored as null) for a current position. Cannot be before startDate.',
+              example: 'present'
+            },
+            description: {
+              type: 'string',
+              maxLength: 2000,
+              example: 'Built the payments platform'
+            },
+            skills: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Catalog skill names or aliases; returned as populated skills',
+              example: ['Node.js', 'MongoDB']
+            },
+            userId: {
+              type: 'string',
+              description: 'Owner (defaults to the authenticated user)',
+              example: '507f1f77bcf86cd799439011'
+            }
+          }
+        },
+        Education: {
+          type: 'object',
+          required: ['institution', 'degree', 'startDate'],
+          properties: {
+            institution: {
+              type: 'string',
+              maxLength: 100,
+              example: 'State University'
+            },
+            degree: {
+              type: 'string',
+              maxLength: 100,
+              example: 'BSc'
+            },
+            fieldOfStudy: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Computer Science'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date',
+              example: '2014-09-01'
+            },
+            endDate: {
+              type: 'string',
+              nullable: true,
+              description: 'Date the studies ended; send "present" (stored as null) while still studying. Cannot be before startDate.',
+              example: '2018-06-30'
+            },
+            grade: {
+              type: 'string',
+              maxLength: 50,
+              example: 'First Class Honours'
+            },
+            description: {
+              type: 'string',
+              maxLength: 1000
+            },
+            userId: {
+              type: 'string',
+              description: 'Owner (defaults to the authenticated user)',
+              example: '507f1f77bcf86cd799439011'
+            }
+          }
+        },
+        Certification: {
+          type: 'object',
+          required: ['name', 'issuer', 'issueDate'],
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 2,
+              maxLength: 100,
+              example: 'AWS Certified Developer - Associate'
+            },
+            issuer: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Amazon Web Services'
+            },
+            credentialId: {
+              type: 'string',
+              maxLength: 100,
+              example: 'ABC123XYZ'
+            },
+            issueDate: {
+              type: 'string',
+              format: 'date',
+              example: '2023-04-01'
+            },
+            expiryDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Null for credentials that never expire. Cannot be before issueDate.',
+              example: '2026-04-01'
+            },
+            verificationUrl: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://www.credly.com/badges/abc123'
+            },
+            expiryStatus: {
+              type: 'string',
+              enum: ['valid', 'expiring', 'expired'],
+              readOnly: true,
+              description: 'expiring means the credential lapses within 30 days, or within the ?expiringWithin window'
+            },
+            daysUntilExpiry: {
+              type: 'integer',
+              nullable: true,
+              readOnly: true,
+              description: 'Negative once expired; null if the credential never expires'
+            },
+            userId: {
+              type: 'string',
+              description: 'Owner (defaults to the authenticated user)',
+              example: '507f1f77bcf86cd799439011'
+            }
+          }
+        },
+        Portfolio: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            userId: {
+              type: 'string',
+              description: 'Owner user ID (defaults to the authenticated user)',
+              example: '507f1f77bcf86cd799439011'
+            },
+            title: {
+              type: 'string',
+              minLength: 3,
+              maxLength: 100,
+              description: 'Portfolio title',
+              example: 'Jane Doe - Full-Stack Developer'
+            },
+            tagline: {
+              type: 'string',
+              maxLength: 200,
+              description: 'Short headline under the title',
+              example: 'I build fast, accessible web apps'
+            },
+            themeName: {
+              type: 'string',
+              writeOnly: true,
+              description: 'Name of the theme to use (alternative to themeId)',
+              example: 'Ocean Blue'
+            },
+            themeId: {
+              type: 'string',
+              description: 'ID of the theme to use'
+            },
+            sections: {
+              type: 'array',
+              description: 'Page sections, rendered in order',
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['about', 'projects', 'skills', 'experience', 'contact', 'custom']
+                  },
+                  title: {
+                    type: 'string',
+                    maxLength: 100
+                  },
+                  content: {
+                    type: 'string',
+                    maxLength: 5000
+                  },
+                  isVisible: {
+                    type: 'boolean',
+                    default: true
+                  }
+                }
+              }
+            },
+            projects: {
+              type: 'array',
+              description: "IDs of the owner's projects to show, in order",
+              items: { type: 'string' }
+            },
+            skills: {
+              type: 'array',
+              description: 'IDs of skills to show, in order',
+              items: { type: 'string' }
+            },
+            isPublished: {
+              type: 'boolean',
+              default: false,
+              description: 'Whether the portfolio is public (requires a verified owner)'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -269,6 +707,10 @@ const options = {
         name: 'Authentication',
         description: 'Authentication endpoints'
       },
+      {
+        name: 'API Keys',
+        description: 'Scoped API keys for machine clients'
+      },
       {
         name: 'Themes',
         description: 'Theme management endpoints'
@@ -284,6 +726,30 @@ const options = {
       {
         name: 'Skills',
         description: 'Skill management endpoints'
+      },
+      {
+        name: 'Experience',
+        description: 'Work experience timeline endpoints'
+      },
+      {
+        name: 'Education',
+        description: 'Education history endpoints'
+      },
+      {
+        name: 'Certifications',
+        description: 'Professional certification endpoints'
+      },
+      {
+        name: 'Portfolios',
+        description: 'Portfolios combining a user, theme, projects and skills'
+      },
+      {
+        name: 'Media',
+        description: 'Uploaded images'
+      },
+      {
+        name: 'Admin',
+        description: 'Administration endpoints (admin role only)'
       }
     ]
   },
@@ -0,0 +1,23 @@
+const { deriveTokens } = require('../utils/themeTokens');
+
+// Theme shown when a user hasn't picked one, or their pick was deleted.
+// DEFAULT_THEME names a theme in the database; BUILT_IN_THEME is used when
+// it isn't set or that theme is gone too.
+const BUILT_IN_BASE = {
+  primaryColor: '#1a1a1a',
+  secondaryColor: '#ffffff',
+  fontFamily: 'Arial'
+};
+
+const BUILT_IN_THEME = Object.freeze({
+  themeName: 'Default',
+  ...BUILT_IN_BASE,
+  ...deriveTokens(BUILT_IN_BASE)
+});
+
+const getDefaultThemeName = () => process.env.DEFAULT_THEME || null;
+
+module.exports = {
+  BUILT_IN_THEME,
+  getDefaultThemeName
+};
@@ -1,37 +1,268 @@
 const crypto = require('crypto');
+const jwt = require('../utils/jwt');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { PERMISSIONS, getRouteScope, isUserTokenRoute } = require('../config/permissions');
 
-// Simple token storage (in production, use Redis or database)
-const validTokens = new Set();
+// Access token lifetime in seconds; clients renew via POST /auth/refresh
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 900;
 
-// Generate a simple token
-const generateToken = () => {
-  const token = crypto.randomBytes(32).toString('hex');
-  validTokens.add(token);
-  return token;
+let fallbackSecret;
+
+// Tokens are signed with a shared secret so any instance can verify them. The
+// random fallback is for development and tests only: in production it would
+// split tokens between instances and log everyone out on restart.
+const getSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  if (!fallbackSecret) {
+    console.warn('⚠️ JWT_SECRET is not set; using a random secret (tokens will not survive a restart)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+// Extract the raw token from the Authorization header
+const getBearerToken = (req) => req.headers.authorization?.replace('Bearer ', '');
+
+// Only record session activity once per interval to avoid a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Generate a signed access token for a user, bound to a login session
+const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      sub: user._id.toString(),
+      role: user.role,
+      typ: 'access',
+      sid: sessionId ? sessionId.toString() : undefined,
+      jti: crypto.randomBytes(16).toString('hex')
+    },
+    getSecret(),
+    ACCESS_TOKEN_TTL
+  );
 };
 
-// Authentication middleware
-const authenticate = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token || !validTokens.has(token)) {
+// Verify a token's signature and expiry, returning its claims
+const verifyToken = (token) => jwt.verify(token, getSecret());
+
+// Sign a short-lived token for a purpose other than API access (e.g. OAuth state).
+// The purpose is stored in the `typ` claim so these can never be used as access tokens.
+const signPurposeToken = (purpose, claims, expiresIn) => {
+  return jwt.sign({ ...claims, typ: purpose }, getSecret(), expiresIn);
+};
+
+// Verify a purpose token, rejecting tokens issued for anything else
+const verifyPurposeToken = (purpose, token) => {
+  const claims = verifyToken(token);
+  if (claims.typ !== purpose) {
+    throw new Error('Invalid token type');
+  }
+  return claims;
+};
+
+// Authenticate a machine client presenting an X-API-Key header
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(req.headers['x-api-key']) });
+    const user = apiKey && apiKey.isUsable()
+      ? await User.findOne({ _id: apiKey.userId, isActive: true })
+      : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'The API key is invalid, expired or revoked.'
+      });
+    }
+
+    apiKey.lastUsedAt = new Date();
+    await apiKey.save();
+
+    req.user = {
+      id: user._id.toString(),
+      role: user.role,
+      authType: 'api-key',
+      apiKeyId: apiKey._id.toString(),
+      scopes: apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Authentication middleware: accepts a Bearer access token or an X-API-Key header
+const authenticate = async (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  let claims;
+  try {
+    claims = verifyPurposeToken('access', getBearerToken(req));
+  } catch (error) {
     return res.status(401).json({
       success: false,
       error: 'Authentication required',
       message: 'Please provide a valid token. Use POST /auth/login to get a token.'
     });
   }
-  
+
+  try {
+    if (await RevokedToken.exists({ jti: claims.jti })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'This token has been revoked. Use POST /auth/login to get a new token.'
+      });
+    }
+
+    if (claims.sid) {
+      const session = await Session.findOne({ _id: claims.sid, revokedAt: null });
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: 'This session has been logged out. Use POST /auth/login to sign in again.'
+        });
+      }
+
+      if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        session.lastUsedAt = new Date();
+        await session.save();
+      }
+    }
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+
+  req.user = { id: claims.sub, role: claims.role, authType: 'token' };
+  req.token = claims;
   next();
 };
 
-// Remove token from valid tokens
-const invalidateToken = (token) => {
-  validTokens.delete(token);
+// Authenticate only for "?mine=true" listings, which need to know the caller
+const authenticateIfMine = (req, res, next) => {
+  if (req.query.mine === 'true') {
+    return authenticate(req, res, next);
+  }
+  next();
+};
+
+// Authenticate only when credentials are supplied (and not already
+// checked), so public routes can still show more to owners and admins
+const authenticateIfPresent = (req, res, next) => {
+  if (!req.user && (req.headers.authorization || req.headers['x-api-key'])) {
+    return authenticate(req, res, next);
+  }
+  next();
+};
+
+// True when the authenticated principal is an admin or the given user
+const isOwnerOrAdmin = (req, ownerId) => {
+  if (!req.user) {
+    return false;
+  }
+  return req.user.role === 'admin' || String(ownerId) === req.user.id;
+};
+
+// Authorization middleware: allow only principals holding one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Please provide a valid token. Use POST /auth/login to get a token.'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This action requires one of the following roles: ${roles.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+// API key scope check; principals authenticated with a token are not scope-limited
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user && req.user.authType === 'api-key' && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This API key is missing the "${scope}" scope`
+    });
+  }
+  next();
+};
+
+// Reject API keys on routes that must be called by a person (e.g. key management)
+const requireUserToken = (req, res, next) => {
+  if (req.user && req.user.authType === 'api-key') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'This route cannot be called with an API key'
+    });
+  }
+  next();
+};
+
+// Authentication plus authorization for a route declared in config/permissions.js;
+// account routes refuse API keys, the rest check the key's scope
+const requirePermission = (route) => {
+  const roles = PERMISSIONS[route];
+  if (!roles) {
+    throw new Error(`No permission entry declared for route "${route}"`);
+  }
+  const keyCheck = isUserTokenRoute(route) ? requireUserToken : requireScope(getRouteScope(route));
+  return [authenticate, authorize(...roles), keyCheck];
+};
+
+// Add a token to the denylist until it expires
+const invalidateToken = async (token) => {
+  const claims = verifyToken(token);
+
+  await RevokedToken.updateOne(
+    { jti: claims.jti },
+    { jti: claims.jti, userId: claims.sub, expiresAt: new Date(claims.exp * 1000) },
+    { upsert: true }
+  );
 };
 
 module.exports = {
+  ACCESS_TOKEN_TTL,
   generateToken,
+  verifyToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  getBearerToken,
   authenticate,
+  authenticateIfMine,
+  authenticateIfPresent,
+  isOwnerOrAdmin,
+  authorize,
+  requireScope,
+  requireUserToken,
+  requirePermission,
   invalidateToken
-};
\ No newline at end of file
+};
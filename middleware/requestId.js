@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Accept a caller-supplied ID only if it looks like one, so it is safe to log
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+// Tag every request with an ID (echoed in X-Request-Id) so log lines and
+// audit events from the same request can be correlated
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,63 @@
+const multer = require('multer');
+const { IMAGE_TYPES, sniffImageType } = require('../utils/imageType');
+
+// Largest accepted file, in bytes (5 MB unless MEDIA_MAX_BYTES is set)
+const getMaxUploadBytes = () => Number(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+
+const uploadError = (res, status, error, message) => res.status(status).json({
+  success: false,
+  error,
+  message
+});
+
+/**
+ * Parse a multipart/form-data upload of up to `maxCount` images in `field`
+ * into req.files. Each file must be within the size limit, declared as an
+ * accepted image type, and actually be that type judging by its magic
+ * bytes; the detected type is set as file.detectedType. Files are kept in
+ * memory until the route stores them.
+ */
+const uploadImages = (field, maxCount = 1) => (req, res, next) => {
+  const maxBytes = getMaxUploadBytes();
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxCount }
+  }).array(field, maxCount);
+
+  parse(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return uploadError(res, 413, 'Payload Too Large', `Files cannot exceed ${maxBytes} bytes`);
+      }
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return uploadError(res, 400, 'Validation Error', `Upload up to ${maxCount} file(s) in the "${field}" field`);
+      }
+      return uploadError(res, 400, 'Validation Error', error.message);
+    }
+    if (error) {
+      // Malformed multipart body
+      return uploadError(res, 400, 'Validation Error', error.message);
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return uploadError(res, 400, 'Validation Error', `Send an image as multipart/form-data in the "${field}" field`);
+    }
+
+    for (const file of files) {
+      const detectedType = sniffImageType(file.buffer);
+
+      if (!IMAGE_TYPES.includes(file.mimetype) || !detectedType) {
+        return uploadError(res, 415, 'Unsupported Media Type', `${file.originalname} is not a PNG, JPEG, GIF or WebP image`);
+      }
+      if (detectedType !== file.mimetype) {
+        return uploadError(res, 415, 'Unsupported Media Type', `${file.originalname} was sent as ${file.mimetype} but contains ${detectedType}`);
+      }
+      file.detectedType = detectedType;
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadImages };
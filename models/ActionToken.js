@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Single-use, time-limited tokens sent by email (password reset, email verification)
+const actionTokenSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    required: [true, 'Token purpose is required'],
+    enum: ['password-reset', 'email-verification']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a token, retiring any earlier unused token for the same purpose
+actionTokenSchema.statics.issue = async function(userId, purpose, ttlSeconds) {
+  await this.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    purpose,
+    tokenHash: hashToken(token),
+    userId,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+
+  return token;
+};
+
+// Atomically mark a valid token as used, returning it (or null if invalid, used or expired)
+actionTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
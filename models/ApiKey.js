@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'pbk_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters long'],
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Leading characters of the key, shown in listings so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: { values: SCOPES, message: 'Unknown scope: {VALUE}' }
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Only the SHA-256 hash of a key is stored; keys are random, so no salt is needed
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Generate a new raw key; the caller must show it to the user exactly once
+apiKeySchema.statics.generateKey = function() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+// Whether the key can currently be used
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a security-relevant or data-changing event
+const auditEventSchema = new mongoose.Schema({
+  // Who did it; userId is null for anonymous events such as failed logins
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    username: String,
+    role: String,
+    authType: String,
+    apiKeyId: String
+  },
+  // Dotted "<resource>.<verb>" name, e.g. "theme.delete" or "auth.login_failed"
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  resourceType: {
+    type: String,
+    required: [true, 'Resource type is required']
+  },
+  resourceId: {
+    type: String,
+    default: null
+  },
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Extra context that isn't a field change (e.g. the reason a login failed)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  minimize: false
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditEventSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// Events can only be inserted, never changed or removed through the model
+const rejectWrite = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectWrite(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => auditEventSchema.pre(operation, rejectWrite));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A professional certification or license held by a user
+const certificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Certification name is required'],
+    trim: true,
+    minlength: [2, 'Certification name must be at least 2 characters long'],
+    maxlength: [100, 'Certification name cannot exceed 100 characters']
+  },
+  issuer: {
+    type: String,
+    required: [true, 'Issuer is required'],
+    trim: true,
+    maxlength: [100, 'Issuer cannot exceed 100 characters']
+  },
+  credentialId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Credential ID cannot exceed 100 characters'],
+    default: ''
+  },
+  issueDate: {
+    type: Date,
+    required: [true, 'Issue date is required']
+  },
+  // null for credentials that never expire
+  expiryDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.issueDate || value >= this.issueDate;
+      },
+      message: 'Expiry date cannot be before the issue date'
+    }
+  },
+  verificationUrl: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/.*/, 'Invalid URL format']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+certificationSchema.index({ userId: 1, issueDate: -1 });
+certificationSchema.index({ expiryDate: 1 });
+
+// Update timestamp before saving
+certificationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Whole days until the credential lapses (negative once expired), or null if it never expires
+certificationSchema.methods.daysUntilExpiry = function(now = new Date()) {
+  if (!this.expiryDate) {
+    return null;
+  }
+  return Math.ceil((this.expiryDate - now) / DAY_MS);
+};
+
+module.exports = mongoose.model('Certification', certificationSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { compareTimeline } = require('../utils/timeline');
+
+// A degree, diploma or course of study in a user's education history
+const educationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  institution: {
+    type: String,
+    required: [true, 'Institution is required'],
+    trim: true,
+    maxlength: [100, 'Institution cannot exceed 100 characters']
+  },
+  degree: {
+    type: String,
+    required: [true, 'Degree is required'],
+    trim: true,
+    maxlength: [100, 'Degree cannot exceed 100 characters']
+  },
+  fieldOfStudy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Field of study cannot exceed 100 characters'],
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // null while still studying ("present")
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Grade cannot exceed 50 characters'],
+    default: ''
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+educationSchema.index({ userId: 1, startDate: -1 });
+
+// Update timestamp before saving
+educationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+educationSchema.statics.compareTimeline = compareTimeline;
+
+module.exports = mongoose.model('Education', educationSchema);
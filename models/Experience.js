@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { compareTimeline } = require('../utils/timeline');
+
+// A position in a user's employment history
+const experienceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  company: {
+    type: String,
+    required: [true, 'Company is required'],
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true,
+    minlength: [2, 'Role must be at least 2 characters long'],
+    maxlength: [100, 'Role cannot exceed 100 characters']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters'],
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // null while the position is current ("present")
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  // Catalog skills used in the role
+  skills: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+experienceSchema.index({ userId: 1, startDate: -1 });
+
+// Update timestamp before saving
+experienceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+experienceSchema.statics.compareTimeline = compareTimeline;
+
+module.exports = mongoose.model('Experience', experienceSchema);
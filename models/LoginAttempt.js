@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Throttling policy per key type. IPs are shared (offices, NAT), so they get
+// more headroom than a single username before delays and lockouts kick in.
+//   freeAttempts     - failures allowed before delays start
+//   lockoutThreshold - failures that trigger a temporary lockout
+// Password reset requests are throttled the same way, counting every
+// request per email address and per IP.
+const POLICIES = {
+  username: { freeAttempts: 3, lockoutThreshold: 10 },
+  ip: { freeAttempts: 20, lockoutThreshold: 50 },
+  'reset-email': { freeAttempts: 2, lockoutThreshold: 5 },
+  'reset-ip': { freeAttempts: 10, lockoutThreshold: 30 }
+};
+// Longest delay enforced between attempts, in seconds
+const MAX_DELAY_SECONDS = 60;
+// Lockout length once a key reaches its threshold, in seconds
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 15 * 60;
+// Forget failures after a day without new ones
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+// Failed login tracking, one document per "username:<name>" or "ip:<address>"
+// key, and password reset tracking per "reset-email:<email>" or
+// "reset-ip:<address>" key
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attempt key is required'],
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const getPolicy = (key) => POLICIES[key.split(':')[0]];
+
+// Seconds a key must wait after its consecutive failures (doubling each time)
+const getDelaySeconds = (key, failures) => {
+  const { freeAttempts } = getPolicy(key);
+  if (failures <= freeAttempts) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - freeAttempts - 1), MAX_DELAY_SECONDS);
+};
+
+// Build the keys tracked for a login request
+loginAttemptSchema.statics.keysFor = function(username, ip) {
+  const keys = [`ip:${ip}`];
+  if (typeof username === 'string' && username) {
+    keys.unshift(`username:${username.toLowerCase()}`);
+  }
+  return keys;
+};
+
+// Build the keys tracked for a password reset request
+loginAttemptSchema.statics.passwordResetKeysFor = function(email, ip) {
+  return [`reset-email:${email}`, `reset-ip:${ip}`];
+};
+
+// Seconds until another attempt is allowed for any of the keys (0 = allowed now)
+loginAttemptSchema.statics.getRetryAfter = async function(keys) {
+  const now = Date.now();
+  const attempts = await this.find({ key: { $in: keys } });
+
+  return attempts.reduce((retryAfter, attempt) => {
+    let allowedAt = 0;
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      allowedAt = attempt.lockedUntil.getTime();
+    } else if (attempt.lastFailureAt) {
+      allowedAt = attempt.lastFailureAt.getTime() + getDelaySeconds(attempt.key, attempt.failures) * 1000;
+    }
+    return Math.max(retryAfter, Math.ceil((allowedAt - now) / 1000));
+  }, 0);
+};
+
+// Count a failed attempt against every key, locking keys that hit their threshold
+loginAttemptSchema.statics.recordFailure = async function(keys) {
+  const now = new Date();
+
+  const increment = (key) => this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + RETENTION_SECONDS * 1000) }
+    },
+    { upsert: true, new: true }
+  );
+
+  await Promise.all(keys.map(async (key) => {
+    let attempt;
+    try {
+      attempt = await increment(key);
+    } catch (error) {
+      // A concurrent failure for the same key inserted it first; the retry
+      // updates that document instead
+      if (error.code !== 11000) {
+        throw error;
+      }
+      attempt = await increment(key);
+    }
+
+    if (attempt.failures >= getPolicy(key).lockoutThreshold) {
+      attempt.failures = 0;
+      attempt.lockedUntil = new Date(now.getTime() + LOCKOUT_SECONDS * 1000);
+      await attempt.save();
+    }
+  }));
+};
+
+// Clear tracking for keys (successful login or admin unlock)
+loginAttemptSchema.statics.clear = function(keys) {
+  return this.deleteMany({ key: { $in: keys } });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
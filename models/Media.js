@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { IMAGE_TYPES } = require('../utils/imageType');
+
+// An uploaded file. Files are stored by the SHA-256 of their bytes, so
+// uploading the same file twice reuses one record.
+const mediaSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: [true, 'Content hash is required'],
+    unique: true,
+    match: [/^[a-f0-9]{64}$/, 'Invalid content hash']
+  },
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required'],
+    enum: IMAGE_TYPES
+  },
+  size: {
+    type: Number,
+    required: [true, 'Size is required'],
+    min: [1, 'Files cannot be empty']
+  },
+  // First user to upload this content
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const SECTION_TYPES = ['about', 'projects', 'skills', 'experience', 'contact', 'custom'];
+
+// A block on the portfolio page; sections render in array order
+const sectionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Section type is required'],
+    enum: SECTION_TYPES
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Section title cannot exceed 100 characters']
+  },
+  content: {
+    type: String,
+    maxlength: [5000, 'Section content cannot exceed 5000 characters'],
+    default: ''
+  },
+  isVisible: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// One portfolio per user, tying together their theme, projects and skills
+const portfolioSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Portfolio title is required'],
+    trim: true,
+    minlength: [3, 'Title must be at least 3 characters long'],
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  tagline: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Tagline cannot exceed 200 characters'],
+    default: ''
+  },
+  themeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theme',
+    default: null
+  },
+  sections: {
+    type: [sectionSchema],
+    default: () => SECTION_TYPES
+      .filter(type => type !== 'custom')
+      .map(type => ({ type }))
+  },
+  // Selected projects and skills, in display order
+  projects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  skills: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill'
+  }],
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Deleted (inactive) portfolios don't stop a user from starting a new one
+portfolioSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+// Update timestamp before saving
+portfolioSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+portfolioSchema.statics.SECTION_TYPES = SECTION_TYPES;
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
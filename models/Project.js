@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+const MEDIA_TYPES = ['image', 'video', 'embed'];
+const MAX_MEDIA_ITEMS = 30;
+
+// imageUrl of projects without an image
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/400x300';
+
+// One gallery item: an image, a video link or an embeddable page
+const mediaItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Media type is required'],
+    enum: MEDIA_TYPES
+  },
+  url: {
+    type: String,
+    required: [true, 'Media URL is required'],
+    trim: true,
+    match: [/^https?:\/\/.+/, 'Invalid media URL format']
+  },
+  // Set on images uploaded through POST /project/:id/images
+  mediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Caption cannot exceed 300 characters'],
+    default: ''
+  },
+  altText: {
+    type: String,
+    required: [true, 'Alt text is required for every gallery item'],
+    trim: true,
+    maxlength: [250, 'Alt text cannot exceed 250 characters']
+  },
+  isCover: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const projectSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -19,6 +62,11 @@ const projectSchema = new mongoose.Schema({
     required: true,
     trim: true
   }],
+  // Catalog skills resolved from technologies on create and update
+  skills: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill'
+  }],
   githubUrl: {
     type: String,
     match: [/^https:\/\/github\.com\/.*/, 'Invalid GitHub URL format']
@@ -27,15 +75,31 @@ const projectSchema = new mongoose.Schema({
     type: String,
     match: [/^https?:\/\/.*/, 'Invalid URL format']
   },
+  // Gallery in display order
+  media: {
+    type: [mediaItemSchema],
+    validate: [{
+      validator: (items) => items.length <= MAX_MEDIA_ITEMS,
+      message: `A project can have at most ${MAX_MEDIA_ITEMS} gallery items`
+    }, {
+      validator: (items) => items.filter(item => item.isCover).length <= 1,
+      message: 'Only one gallery item can be the cover'
+    }]
+  },
+  // Kept for clients of single-image projects; follows the cover image
   imageUrl: {
     type: String,
-    default: 'https://via.placeholder.com/400x300'
+    default: PLACEHOLDER_IMAGE
   },
   status: {
     type: String,
     enum: ['planning', 'in-progress', 'completed', 'on-hold'],
     default: 'planning'
   },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -55,10 +119,78 @@ const projectSchema = new mongoose.Schema({
   }
 });
 
+projectSchema.index({ skills: 1 });
+
+// An imageUrl set without a gallery (on create, or saved before galleries
+// existed) becomes the first item. The first item is the cover unless
+// another is flagged, and imageUrl follows the cover image.
+projectSchema.pre('validate', function(next) {
+  const adoptImageUrl = this.media.length === 0 &&
+    this.imageUrl && this.imageUrl !== PLACEHOLDER_IMAGE &&
+    (this.isNew || !this.isModified('media'));
+  if (adoptImageUrl) {
+    this.media.push({ type: 'image', url: this.imageUrl, altText: this.title, isCover: true });
+  }
+
+  if (this.media.length > 0 && !this.media.some(item => item.isCover)) {
+    this.media[0].isCover = true;
+  }
+
+  const cover = this.media.find(item => item.isCover && item.type === 'image') ||
+    this.media.find(item => item.type === 'image');
+  this.imageUrl = cover ? cover.url : PLACEHOLDER_IMAGE;
+
+  next();
+});
+
 // Update timestamp before saving
 projectSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
+projectSchema.statics.MEDIA_TYPES = MEDIA_TYPES;
+
+// Conditions for the projects an authenticated principal (req.user, or
+// undefined) may read: published ones and their own, or all for admins
+projectSchema.statics.visibleTo = function(user) {
+  if (!user) {
+    return { isPublished: true };
+  }
+  if (user.role === 'admin') {
+    return {};
+  }
+  return { $or: [{ isPublished: true }, { userId: user.id }] };
+};
+
+// Make `item` the only cover of the gallery
+projectSchema.methods.setCover = function(item) {
+  for (const other of this.media) {
+    other.isCover = other === item;
+  }
+};
+
+// Move imageUrl into the gallery of projects saved before galleries
+// existed. Run on startup; projects that fail validation are reported and
+// left as they are.
+projectSchema.statics.backfillGallery = async function() {
+  const projects = await this.find({
+    'media.0': { $exists: false },
+    imageUrl: { $exists: true, $nin: [null, '', PLACEHOLDER_IMAGE] }
+  });
+
+  for (const project of projects) {
+    try {
+      await project.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      console.warn(`⚠️ Project "${project.title}" image was not moved to its gallery: ${error.message}`);
+    }
+  }
+
+  return projects.length;
+};
+
+module.exports = mongoose.model('Project', projectSchema);
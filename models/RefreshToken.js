@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Refresh token lifetime in seconds (default 30 days)
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 60 * 60 * 24 * 30;
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    index: true
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired tokens are removed by MongoDB automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Only the SHA-256 hash of a refresh token is ever stored
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a refresh token, returning the raw value alongside the stored document
+refreshTokenSchema.statics.issue = async function(userId, family = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const doc = await this.create({
+    tokenHash: this.hashToken(token),
+    userId,
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+  });
+
+  return { token, doc };
+};
+
+// Revoke every token in a family (used on logout and when reuse is detected)
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+// One document per login; access tokens carry its ID in the `sid` claim and
+// refresh tokens use it as their family
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  authMethod: {
+    type: String,
+    default: 'password'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Sessions are removed once their last refresh token would have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Active sessions for a user, newest first
+sessionSchema.statics.findActive = function(userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke every active session of a user along with their refresh tokens
+sessionSchema.statics.revokeAllForUser = async function(userId) {
+  const sessions = await this.find({ userId, revokedAt: null });
+  await Promise.all(sessions.map(session => session.revoke()));
+  return sessions.length;
+};
+
+// Revoke this session and its refresh token family
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  await this.save();
+  await RefreshToken.revokeFamily(this._id.toString());
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const { normalizeSkillName } = require('../utils/skillName');
 
+// Shared skill catalog; each user's proficiency lives in UserSkill
 const skillSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -9,18 +11,23 @@ const skillSchema = new mongoose.Schema({
     minlength: [2, 'Skill name must be at least 2 characters long'],
     maxlength: [50, 'Skill name cannot exceed 50 characters']
   },
+  // Other names the skill is known by, e.g. "JS" for JavaScript
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Alias cannot exceed 50 characters']
+  }],
+  // Normalized name and aliases; each key belongs to at most one skill
+  lookupKeys: {
+    type: [String],
+    select: false
+  },
   category: {
     type: String,
     required: [true, 'Skill category is required'],
     enum: ['frontend', 'backend', 'database', 'devops', 'mobile', 'design', 'other'],
     lowercase: true
   },
-  proficiencyLevel: {
-    type: Number,
-    required: [true, 'Proficiency level is required'],
-    min: [1, 'Proficiency level must be between 1 and 5'],
-    max: [5, 'Proficiency level must be between 1 and 5']
-  },
   description: {
     type: String,
     maxlength: [200, 'Description cannot exceed 200 characters'],
@@ -44,10 +51,69 @@ const skillSchema = new mongoose.Schema({
   }
 });
 
+skillSchema.index({ lookupKeys: 1 }, { unique: true, partialFilterExpression: { lookupKeys: { $exists: true } } });
+
+// Derive lookup keys from the name and aliases
+skillSchema.pre('validate', function(next) {
+  const nameKey = normalizeSkillName(this.name);
+  const aliasKeys = this.aliases.map(normalizeSkillName);
+
+  if (this.name && !nameKey) {
+    this.invalidate('name', 'Skill name must contain letters or numbers');
+  }
+  if (aliasKeys.some(key => !key)) {
+    this.invalidate('aliases', 'Aliases must contain letters or numbers');
+  }
+
+  this.lookupKeys = [...new Set([nameKey, ...aliasKeys].filter(Boolean))];
+  next();
+});
+
 // Update timestamp before saving
 skillSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Find the skill whose name or alias matches after normalization
+skillSchema.statics.findByLookupKey = function(name, filter = {}) {
+  return this.findOne({ ...filter, lookupKeys: normalizeSkillName(name) });
+};
+
+// Find another skill already using one of these names or aliases
+skillSchema.statics.findConflict = function(names, excludeId) {
+  const keys = names.map(normalizeSkillName).filter(Boolean);
+  return this.findOne({
+    lookupKeys: { $in: keys },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+};
+
+// Give skills saved before aliases existed their lookup keys. Skills whose
+// names collide after normalization are reported and left for an admin to merge.
+skillSchema.statics.backfillLookupKeys = async function() {
+  const skills = await this.find({ lookupKeys: { $exists: false } });
+
+  for (const skill of skills) {
+    try {
+      await skill.save();
+    } catch (error) {
+      if (error.code !== 11000 && error.name !== 'ValidationError') {
+        throw error;
+      }
+      console.warn(`⚠️ Skill "${skill.name}" was not indexed for lookups: ${error.message}`);
+    }
+  }
+
+  return skills.length;
+};
+
+// Lookup keys are an internal index, not part of the API
+skillSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.lookupKeys;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Skill', skillSchema);
\ No newline at end of file
@@ -1,46 +1,245 @@
 const mongoose = require('mongoose');
+const { HEX_COLOR } = require('../utils/color');
+const {
+  COLOR_ROLES,
+  COLOR_MODES,
+  RADIUS_SIZES,
+  TOKEN_PATHS,
+  INHERITABLE_PATHS,
+  deriveTokens
+} = require('../utils/themeTokens');
+
+const FONT_FAMILIES = ['Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Verdana', 'Roboto', 'Open Sans'];
+
+// Background, surface, text, accent and border colors for one mode
+const palette = (mode) => Object.fromEntries(COLOR_ROLES.map(role => [role, {
+  type: String,
+  required: [true, `The ${mode} ${role} color is required`],
+  match: [HEX_COLOR, `Invalid ${mode} ${role} color format`]
+}]));
+
+// Ascending list of px values within [min, max]
+const ascendingScale = (min, max, minLength, maxLength) => (values) => (
+  values.length >= minLength &&
+  values.length <= maxLength &&
+  values.every((value, i) => value >= min && value <= max && (i === 0 || value > values[i - 1]))
+);
 
 const themeSchema = new mongoose.Schema({
-  themeName: { 
-    type: String, 
+  themeName: {
+    type: String,
     required: [true, 'Theme name is required'],
-    unique: true,
     trim: true,
     minlength: [2, 'Theme name must be at least 2 characters long']
   },
-  primaryColor: { 
-    type: String, 
+  primaryColor: {
+    type: String,
     required: [true, 'Primary color is required'],
-    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid color format']
+    match: [HEX_COLOR, 'Invalid color format']
   },
-  secondaryColor: { 
-    type: String, 
+  secondaryColor: {
+    type: String,
     required: [true, 'Secondary color is required'],
-    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid color format']
+    match: [HEX_COLOR, 'Invalid color format']
   },
-  fontFamily: { 
-    type: String, 
+  // Kept for clients of the original two-color themes; mirrors the body font
+  fontFamily: {
+    type: String,
     required: [true, 'Font family is required'],
-    enum: ['Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Verdana', 'Roboto', 'Open Sans']
+    enum: FONT_FAMILIES
+  },
+  // Design tokens. Any left out are derived from the fields above.
+  modes: Object.fromEntries(COLOR_MODES.map(mode => [mode, palette(mode)])),
+  typography: {
+    headingFont: {
+      type: String,
+      required: [true, 'Heading font is required'],
+      enum: FONT_FAMILIES
+    },
+    bodyFont: {
+      type: String,
+      required: [true, 'Body font is required'],
+      enum: FONT_FAMILIES
+    },
+    // Font sizes in px, smallest first
+    typeScale: {
+      type: [Number],
+      validate: {
+        validator: ascendingScale(8, 128, 3, 10),
+        message: 'Type scale must be 3-10 ascending font sizes between 8 and 128px'
+      }
+    }
+  },
+  // Spacing steps in px, smallest first
+  spacing: {
+    type: [Number],
+    validate: {
+      validator: ascendingScale(0, 256, 1, 12),
+      message: 'Spacing must be 1-12 ascending values between 0 and 256px'
+    }
   },
-  isActive: { 
-    type: Boolean, 
-    default: true 
+  radius: Object.fromEntries(RADIUS_SIZES.map(size => [size, {
+    type: Number,
+    required: [true, `The ${size} radius is required`],
+    min: [0, 'Radius cannot be negative'],
+    max: [64, 'Radius cannot exceed 64px']
+  }])),
+  // Set on forks. A fork stores the fields it overrides; every other
+  // field above holds the value inherited from the parent.
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theme',
+    default: null
   },
-  createdAt: { 
-    type: Date, 
-    default: Date.now 
+  overrides: [{
+    _id: false,
+    path: {
+      type: String,
+      enum: INHERITABLE_PATHS
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
   },
-  updatedAt: { 
-    type: Date, 
-    default: Date.now 
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Theme names are looked up case-insensitively, so "Dark" and "dark" must not
+// both exist. Named so it doesn't clash with the earlier case-sensitive index.
+themeSchema.index(
+  { themeName: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 }, name: 'themeName_ci' }
+);
+
+const getPath = (values, path) => path.split('.').reduce((value, key) => value && value[key], values);
+
+// Forks take every field they don't override from their parent: the
+// unsaved copy in $locals.parent when there is one (see loadForks), else the
+// stored parent
+themeSchema.pre('validate', async function() {
+  if (!this.parentId) {
+    return;
+  }
+
+  const parent = this.$locals.parent || await this.constructor.findById(this.parentId);
+  if (!parent) {
+    return;
+  }
+
+  const parentValues = parent.toObject();
+  const overrides = new Map(this.overrides.map(({ path, value }) => [path, value]));
+  for (const path of INHERITABLE_PATHS) {
+    this.set(path, overrides.has(path) ? overrides.get(path) : getPath(parentValues, path));
   }
 });
 
+const isMissing = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+// Keep fontFamily in step with the body font, then fill in tokens the
+// theme doesn't set from its two colors and font
+themeSchema.pre('validate', function(next) {
+  const bodyFont = this.get('typography.bodyFont');
+  if (bodyFont && this.isModified('typography.bodyFont')) {
+    this.fontFamily = bodyFont;
+  } else if (this.fontFamily && this.isModified('fontFamily') && !this.isNew) {
+    this.set('typography.bodyFont', this.fontFamily);
+  }
+
+  const hasColors = HEX_COLOR.test(this.primaryColor || '') && HEX_COLOR.test(this.secondaryColor || '');
+  const derived = deriveTokens({
+    primaryColor: hasColors ? this.primaryColor : null,
+    secondaryColor: hasColors ? this.secondaryColor : null,
+    fontFamily: this.fontFamily
+  });
+
+  for (const path of TOKEN_PATHS) {
+    const value = path.split('.').reduce((tokens, key) => tokens && tokens[key], derived);
+    if (value !== undefined && isMissing(this.get(path))) {
+      this.set(path, value);
+    }
+  }
+
+  next();
+});
+
 // Update timestamp before saving
 themeSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-module.exports = mongoose.model('Theme', themeSchema);
\ No newline at end of file
+themeSchema.statics.FONT_FAMILIES = FONT_FAMILIES;
+
+/**
+ * Record field overrides on a fork, replacing earlier overrides of the same
+ * fields. Paths in `inherit` go back to following the parent. fontFamily
+ * mirrors the body font, so the two are overridden and inherited together.
+ */
+themeSchema.methods.setOverrides = function(overrides, inherit = []) {
+  const byPath = new Map(this.overrides.map(({ path, value }) => [path, value]));
+  const incoming = new Map(overrides.map(({ path, value }) => [path, value]));
+  const fontPaths = ['fontFamily', 'typography.bodyFont'];
+
+  for (const [path, mirror] of [fontPaths, [...fontPaths].reverse()]) {
+    if (incoming.has(path) && !incoming.has(mirror)) {
+      incoming.set(mirror, incoming.get(path));
+    }
+  }
+  for (const path of inherit) {
+    for (const inherited of fontPaths.includes(path) ? fontPaths : [path]) {
+      byPath.delete(inherited);
+    }
+  }
+  for (const [path, value] of incoming) {
+    byPath.set(path, value);
+  }
+
+  this.overrides = [...byPath].map(([path, value]) => ({ path, value }));
+};
+
+// The forks of a theme, and theirs, parents first. Each inherits from the
+// loaded copy of its parent, so validating them shows how they will look
+// once `parent`'s unsaved changes are written.
+themeSchema.statics.loadForks = async function(parent) {
+  const forks = await this.find({ parentId: parent._id });
+  const loaded = [];
+
+  for (const fork of forks) {
+    fork.$locals.parent = parent;
+    loaded.push(fork, ...await this.loadForks(fork));
+  }
+
+  return loaded;
+};
+
+// Derive design tokens for themes saved before they existed. Run on
+// startup; themes that fail validation are reported and left as they are.
+themeSchema.statics.backfillDesignTokens = async function() {
+  const themes = await this.find({
+    $or: TOKEN_PATHS.map(path => ({ [path]: { $exists: false } }))
+  });
+
+  for (const theme of themes) {
+    try {
+      await theme.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      console.warn(`⚠️ Theme "${theme.themeName}" was not migrated to design tokens: ${error.message}`);
+    }
+  }
+
+  return themes.length;
+};
+
+module.exports = mongoose.model('Theme', themeSchema);
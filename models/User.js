@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const totp = require('../utils/totp');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   username: { 
@@ -33,6 +37,64 @@ const userSchema = new mongoose.Schema({
     type: String, 
     default: 'https://via.placeholder.com/150'
   },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Base32 TOTP secret; the pending secret is held until the first code is confirmed
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'owner'
+  },
+  oauthAccounts: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    providerId: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Selected theme; GET /user/:username/theme falls back to the default
+  // theme when this is unset or the theme was deleted
+  themeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theme',
+    default: null
+  },
   isActive: { 
     type: Boolean, 
     default: true 
@@ -53,4 +115,115 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 });
+
+// Hash and store a new password
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await hashPassword(password);
+};
+
+// Check a password against the stored hash (requires passwordHash to be selected)
+userSchema.methods.verifyPassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Replace the recovery codes, returning the new plain codes (shown to the user once)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Check a TOTP code or a recovery code (consumed on use). Requires the two-factor
+// fields to be selected; the caller saves the document. Returns 'totp', 'recovery' or null.
+userSchema.methods.verifySecondFactor = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) {
+    return null;
+  }
+
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) {
+      return null;
+    }
+    this.twoFactorLastStep = step;
+    return 'totp';
+  }
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashRecoveryCode(code));
+  if (index !== -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+  return null;
+};
+
+// Derive an available username from an OAuth profile
+userSchema.statics.generateUsername = async function(seed) {
+  const base = (String(seed || 'user').replace(/[^a-zA-Z0-9_]/g, '') || 'user').slice(0, 14).padEnd(3, '_');
+
+  let candidate = base;
+  while (await this.exists({ username: candidate })) {
+    candidate = `${base}_${Math.floor(Math.random() * 100000)}`;
+  }
+  return candidate;
+};
+
+// Find the user linked to an OAuth identity, linking by verified email or
+// creating one. Returns null when the email belongs to an account that hasn't
+// verified it, since whoever registered it may not own the address.
+userSchema.statics.findOrCreateFromOAuth = async function(provider, profile) {
+  const linked = await this.findOne({
+    oauthAccounts: { $elemMatch: { provider, providerId: profile.providerId } }
+  });
+  if (linked) {
+    return linked;
+  }
+
+  const email = profile.email.toLowerCase();
+  let user = await this.findOne({ email });
+
+  if (user && !user.isVerified) {
+    return null;
+  }
+
+  if (!user) {
+    user = new this({
+      username: await this.generateUsername(profile.username || email.split('@')[0]),
+      email,
+      fullName: profile.fullName || profile.username || email,
+      ...(profile.avatarUrl && { profilePicture: profile.avatarUrl })
+    });
+  }
+
+  // The provider has verified this address
+  user.isVerified = true;
+  user.oauthAccounts.push({ provider, providerId: profile.providerId });
+  await user.save();
+  return user;
+};
+
+// Never expose credentials in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorRecoveryCodes;
+    delete ret.twoFactorLastStep;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
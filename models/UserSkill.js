@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A user's experience with a skill from the shared Skill catalog
+const userSkillSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  skillId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: [true, 'Skill ID is required']
+  },
+  proficiencyLevel: {
+    type: Number,
+    required: [true, 'Proficiency level is required'],
+    min: [1, 'Proficiency level must be between 1 and 5'],
+    max: [5, 'Proficiency level must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Proficiency level must be a whole number'
+    }
+  },
+  yearsOfExperience: {
+    type: Number,
+    min: [0, 'Years of experience cannot be negative'],
+    max: [60, 'Years of experience cannot exceed 60'],
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  // Highlighted skills are listed first and featured on the portfolio
+  isHighlighted: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user lists each catalog skill at most once
+userSkillSchema.index({ userId: 1, skillId: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+userSkillSchema.index({ skillId: 1, proficiencyLevel: 1 });
+
+// Update timestamp before saving
+userSkillSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('UserSkill', userSkillSchema);
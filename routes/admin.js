@@ -0,0 +1,177 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Query parameters GET /admin/audit accepts, each a single string
+const AUDIT_QUERY_PARAMS = ['actor', 'action', 'resourceType', 'resourceId', 'requestId', 'ip', 'from', 'to', 'page', 'limit'];
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     summary: Query the audit log (admin only)
+ *     description: Logins, logouts, failed logins and every change made through the users, themes, projects and skills routes, newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Actor user ID or username
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action (e.g. theme.delete) or a prefix ending in "." (e.g. auth.)
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           example: theme
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: A page of audit events
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/audit', checkDBConnection, requirePermission('GET /admin/audit'), async (req, res) => {
+  try {
+    // Repeated (?a=1&a=2) or nested (?a[$ne]=x) parameters would reach the
+    // query as arrays or operators
+    const notStrings = AUDIT_QUERY_PARAMS.filter(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+    if (notStrings.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: notStrings.map(key => `${key} must be a single value`)
+      });
+    }
+
+    const { actor, action, resourceType, resourceId, requestId, ip, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const filter = {};
+
+    if (actor) {
+      filter[mongoose.Types.ObjectId.isValid(actor) ? 'actor.userId' : 'actor.username'] = actor;
+    }
+
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+
+    if (resourceType) {
+      filter.resourceType = resourceType;
+    }
+    if (resourceId) {
+      filter.resourceId = resourceId;
+    }
+    if (requestId) {
+      filter.requestId = requestId;
+    }
+    if (ip) {
+      filter.ip = ip;
+    }
+
+    if (from || to) {
+      const range = { from: new Date(from), to: new Date(to) };
+      const invalid = ['from', 'to'].filter(key => req.query[key] && isNaN(range[key].getTime()));
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          details: invalid.map(key => `${key} must be a valid date`)
+        });
+      }
+
+      filter.createdAt = {
+        ...(from && { $gte: range.from }),
+        ...(to && { $lte: range.to })
+      };
+    }
+
+    const [total, events] = await Promise.all([
+      AuditEvent.countDocuments(filter),
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+
+    res.json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      data: events
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { SCOPES } = require('../config/permissions');
+const { requirePermission, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Middleware to validate ObjectId
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     description: Keys are never returned after creation; listings show the prefix, scopes and last use.
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/', checkDBConnection, requirePermission('GET /auth/api-keys'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is only shown in this response. Send it in the X-API-Key header.
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI deploy
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["project:read", "project:write"]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', checkDBConnection, requirePermission('POST /auth/api-keys'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: [`scopes must be a non-empty array of: ${SCOPES.join(', ')}`]
+      });
+    }
+
+    if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['expiresInDays must be a positive integer']
+      });
+    }
+
+    const key = ApiKey.generateKey();
+    const apiKey = new ApiKey({
+      name,
+      prefix: key.slice(0, 12),
+      keyHash: ApiKey.hashKey(key),
+      userId: req.user.id,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      resourceType: 'api_key',
+      resourceId: apiKey._id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now; it will not be shown again.',
+      key,
+      data: apiKey,
+      instructions: 'Send this key in the X-API-Key header'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (key owner or admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       403:
+ *         description: Not the key owner
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', checkDBConnection, requirePermission('DELETE /auth/api-keys/:id'), validateObjectId, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, revokedAt: null });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, apiKey.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the key owner or an admin can revoke this key'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      resourceType: 'api_key',
+      resourceId: apiKey._id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,241 @@
 const express = require('express');
-const { generateToken, authenticate, invalidateToken } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const ActionToken = require('../models/ActionToken');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { getProvider, listProviders } = require('../services/oauth');
+const { recordAudit } = require('../services/audit');
+const { verifyPassword } = require('../utils/password');
+const { getPublicBaseUrl } = require('../utils/publicUrl');
+const {
+  ACCESS_TOKEN_TTL,
+  generateToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  getBearerToken,
+  requirePermission,
+  invalidateToken
+} = require('../middleware/auth');
 
 const router = express.Router();
 
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long a user has to complete the provider's consent screen (seconds)
+const OAUTH_STATE_TTL = 600;
+
+// How long a user has to enter their two-factor code after the first step (seconds)
+const TWO_FACTOR_CHALLENGE_TTL = 300;
+
+// Issue an access token and a rotated refresh token for a login session.
+// The session ID doubles as the refresh token family.
+const issueTokens = async (user, session) => {
+  const { token: refreshToken, doc } = await RefreshToken.issue(user._id, session._id.toString());
+
+  session.lastUsedAt = new Date();
+  session.expiresAt = doc.expiresAt;
+  await session.save();
+
+  return {
+    tokens: {
+      token: generateToken(user, session._id),
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshToken,
+      refreshExpiresAt: doc.expiresAt
+    },
+    refreshDoc: doc
+  };
+};
+
+// Audit actor for a user who isn't authenticated yet (login, registration)
+const toActor = (user) => ({ id: user._id, username: user.username, role: user.role });
+
+// Record a new login session and issue its first token pair
+const startSession = async (user, req, authMethod) => {
+  const session = new Session({
+    userId: user._id,
+    authMethod,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || ''
+  });
+
+  const result = await issueTokens(user, session);
+
+  await recordAudit(req, {
+    action: 'auth.login',
+    resourceType: 'session',
+    resourceId: session._id,
+    actor: toActor(user),
+    metadata: { authMethod }
+  });
+
+  return result;
+};
+
+// Audit a rejected login attempt; the username is whatever the caller supplied
+const auditFailedLogin = (req, username, reason) => recordAudit(req, {
+  action: 'auth.login_failed',
+  resourceType: 'session',
+  actor: { username: typeof username === 'string' ? username : undefined },
+  metadata: { reason }
+});
+
+// First login step passed for an account with 2FA: hand out a challenge instead of tokens
+const twoFactorChallenge = (user, authMethod) => ({
+  success: true,
+  message: 'Two-factor authentication required. Send a code to POST /auth/login/2fa.',
+  twoFactorRequired: true,
+  challengeToken: signPurposeToken(
+    '2fa-challenge',
+    { sub: user._id.toString(), amr: authMethod },
+    TWO_FACTOR_CHALLENGE_TTL
+  ),
+  expiresIn: TWO_FACTOR_CHALLENGE_TTL
+});
+
+// Revoke the login behind a refresh token family (session and all its refresh tokens)
+const revokeLogin = async (family) => {
+  const session = mongoose.Types.ObjectId.isValid(family) ? await Session.findById(family) : null;
+
+  if (session) {
+    return session.revoke();
+  }
+  return RefreshToken.revokeFamily(family);
+};
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new account
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - email
+ *               - fullName
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: john_doe
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john@example.com
+ *               fullName:
+ *                 type: string
+ *                 example: John Doe
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 example: correct-horse-battery
+ *     responses:
+ *       201:
+ *         description: Account created, token issued and verification email sent
+ *       400:
+ *         description: Validation error or duplicate username/email
+ */
+router.post('/register', checkDBConnection, async (req, res) => {
+  try {
+    const { username, email, fullName, bio, password } = req.body;
+
+    // Validate required fields
+    const requiredFields = ['username', 'email', 'fullName', 'password'];
+    const missingFields = requiredFields.filter(field => !req.body[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: missingFields.map(field => `${field} is required`)
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: [`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`]
+      });
+    }
+
+    const newUser = new User({ username, email, fullName, bio });
+    await newUser.setPassword(password);
+    await newUser.save();
+
+    await recordAudit(req, {
+      action: 'user.register',
+      resourceType: 'user',
+      resourceId: newUser._id,
+      actor: toActor(newUser),
+      after: newUser
+    });
+
+    // A mail failure shouldn't fail registration; the link can be re-sent
+    try {
+      await sendVerificationEmail(newUser, req);
+    } catch (mailError) {
+      console.error('❌ Verification email error:', mailError.message);
+    }
+
+    const { tokens } = await startSession(newUser, req, 'password');
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      ...tokens,
+      data: newUser,
+      instructions: 'Use this token in Authorization header as: Bearer [token]'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0];
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: `${field} already exists`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /auth/login:
@@ -21,33 +254,748 @@ const router = express.Router();
  *             properties:
  *               username:
  *                 type: string
- *                 example: admin
+ *                 example: john_doe
  *               password:
  *                 type: string
- *                 example: password123
+ *                 format: password
+ *                 example: correct-horse-battery
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge (twoFactorRequired and challengeToken) when 2FA is enabled
+ *       400:
+ *         description: username or password missing or not a string
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts; retry after the number of seconds in the Retry-After header
+ */
+router.post('/login', checkDBConnection, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const invalidFields = ['username', 'password'].filter(field => typeof req.body[field] !== 'string');
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: invalidFields.map(field => `${field} is required and must be a string`)
+      });
+    }
+
+    const attemptKeys = LoginAttempt.keysFor(username, req.ip);
+
+    // Progressive delays and temporary lockouts per username and per IP
+    const retryAfter = await LoginAttempt.getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      await auditFailedLogin(req, username, 'throttled');
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many login attempts',
+        message: `Please wait ${retryAfter} seconds before trying again`,
+        retryAfter
+      });
+    }
+
+    const user = await User.findOne({ username, isActive: true }).select('+passwordHash');
+
+    // Same response, after the same hashing work, for unknown users and
+    // wrong passwords
+    const passwordMatches = user ? await user.verifyPassword(password) : await verifyPassword(password, null);
+    if (!passwordMatches) {
+      await LoginAttempt.recordFailure(attemptKeys);
+      await auditFailedLogin(req, username, 'invalid_credentials');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    // A successful login clears the username's failures (IP failures are kept)
+    await LoginAttempt.clear(attemptKeys.filter(key => key.startsWith('username:')));
+
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallenge(user, 'password'));
+    }
+
+    const { tokens } = await startSession(user, req, 'password');
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      instructions: 'Use this token in Authorization header as: Bearer [token]'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login for an account with two-factor authentication
+ *     description: Exchanges the challenge token from POST /auth/login (or the OAuth callback) and a code from the authenticator app, or an unused recovery code, for an access token.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many failed attempts; retry after the number of seconds in the Retry-After header
+ */
+router.post('/login/2fa', checkDBConnection, async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  let claims;
+  try {
+    claims = verifyPurposeToken('2fa-challenge', challengeToken);
+  } catch (challengeError) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired challenge',
+      message: 'Please log in again with POST /auth/login'
+    });
+  }
+
+  try {
+    const user = await User.findOne({ _id: claims.sub, isActive: true })
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge',
+        message: 'Please log in again with POST /auth/login'
+      });
+    }
+
+    // Wrong codes count towards the same throttling as wrong passwords
+    const attemptKeys = LoginAttempt.keysFor(user.username, req.ip);
+    const retryAfter = await LoginAttempt.getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      await auditFailedLogin(req, user.username, 'throttled');
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many login attempts',
+        message: `Please wait ${retryAfter} seconds before trying again`,
+        retryAfter
+      });
+    }
+
+    const factor = user.verifySecondFactor(code);
+    if (!factor) {
+      await LoginAttempt.recordFailure(attemptKeys);
+      await auditFailedLogin(req, user.username, 'invalid_second_factor');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid code'
+      });
+    }
+
+    await user.save();
+    await LoginAttempt.clear(attemptKeys.filter(key => key.startsWith('username:')));
+
+    const { tokens } = await startSession(user, req, `${claims.amr}+${factor}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      ...(factor === 'recovery' && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length }),
+      instructions: 'Use this token in Authorization header as: Bearer [token]'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message, even when the email can't be sent, so it cannot be used to discover registered emails. Requests are throttled per email and per IP.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: If the account exists, a reset link has been sent
+ *       429:
+ *         description: Too many requests for the email or from the IP; retry after the number of seconds in the Retry-After header
+ */
+router.post('/forgot-password', checkDBConnection, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['email is required']
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const attemptKeys = LoginAttempt.passwordResetKeysFor(normalizedEmail, req.ip);
+
+    // Every request counts, registered email or not, so throttling reveals nothing
+    const retryAfter = await LoginAttempt.getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many password reset requests',
+        message: `Please wait ${retryAfter} seconds before trying again`,
+        retryAfter
+      });
+    }
+    await LoginAttempt.recordFailure(attemptKeys);
+
+    const user = await User.findOne({ email: normalizedEmail, isActive: true });
+    if (user) {
+      // A failed send must not look different from an unknown email
+      try {
+        await sendPasswordResetEmail(user, req);
+      } catch (mailError) {
+        console.error('❌ Password reset email error:', mailError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Tokens are single-use and expire after one hour. All existing sessions are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Invalid, used or expired token, or password too short
+ */
+router.post('/reset-password', checkDBConnection, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: [`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`]
+      });
+    }
+
+    const actionToken = typeof token === 'string'
+      ? await ActionToken.consume(token, 'password-reset')
+      : null;
+    const user = actionToken
+      ? await User.findOne({ _id: actionToken.userId, isActive: true })
+      : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired token',
+        message: 'Request a new link with POST /auth/forgot-password'
+      });
+    }
+
+    await user.setPassword(password);
+    // Receiving the email proves ownership of the address
+    user.isVerified = true;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id);
+    await LoginAttempt.clear([`username:${user.username.toLowerCase()}`]);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      resourceType: 'user',
+      resourceId: user._id,
+      actor: toActor(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Verify an email address using the emailed link
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid, used or expired token
  */
-router.post('/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  // Simple authentication (in production, verify against database)
-  if (username === 'admin' && password === 'password123') {
-    const token = generateToken();
+router.get('/verify-email', checkDBConnection, async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const actionToken = typeof token === 'string'
+      ? await ActionToken.consume(token, 'email-verification')
+      : null;
+    const user = actionToken
+      ? await User.findOneAndUpdate(
+        { _id: actionToken.userId, isActive: true },
+        { isVerified: true },
+        { new: true }
+      )
+      : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired token',
+        message: 'Request a new link with POST /auth/verify-email/resend'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Re-send the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post('/verify-email/resend', checkDBConnection, requirePermission('POST /auth/verify-email/resend'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.id, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email already verified'
+      });
+    }
+
+    await sendVerificationEmail(user, req);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: Refresh tokens are single-use. Replaying a token that was already rotated revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ */
+router.post('/refresh', checkDBConnection, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['refreshToken is required']
+      });
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
+
+    if (!stored || stored.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'Please log in again using POST /auth/login'
+      });
+    }
+
+    // Atomically retire the presented token; losing the race counts as reuse
+    const retired = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!retired) {
+      await revokeLogin(stored.family);
+      await recordAudit(req, {
+        action: 'auth.refresh_reuse',
+        resourceType: 'session',
+        resourceId: stored.family,
+        actor: { id: stored.userId }
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token reuse detected',
+        message: 'All sessions from this login have been revoked. Please log in again.'
+      });
+    }
+
+    const user = await User.findOne({ _id: stored.userId, isActive: true });
+    const session = mongoose.Types.ObjectId.isValid(stored.family)
+      ? await Session.findOne({ _id: stored.family, revokedAt: null })
+      : null;
+
+    if (!user || !session) {
+      await revokeLogin(stored.family);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'Please log in again using POST /auth/login'
+      });
+    }
+
+    const { tokens, refreshDoc } = await issueTokens(user, session);
+    retired.replacedBy = refreshDoc._id;
+    await retired.save();
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// Callback URL registered with the OAuth provider
+const getOAuthRedirectUri = (req, provider) => `${getPublicBaseUrl(req)}/auth/oauth/${provider}/callback`;
+
+// Middleware to resolve the :provider path parameter
+const loadOAuthProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      error: 'Unknown OAuth provider',
+      message: `Available providers: ${listProviders().join(', ') || 'none configured'}`
+    });
+  }
+
+  req.oauthProvider = provider;
+  next();
+};
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}/start:
+ *   get:
+ *     summary: Start an OAuth 2.0 authorization-code login
+ *     description: Redirects to the provider's consent screen. Pass format=json to receive the URL instead of a redirect.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: github
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json]
+ *       - in: query
+ *         name: login_hint
+ *         schema:
+ *           type: string
+ *         description: Email suggestion forwarded to providers that support it
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       200:
+ *         description: Authorization URL (format=json)
+ *       404:
+ *         description: Unknown provider
+ */
+router.get('/oauth/:provider/start', loadOAuthProvider, (req, res) => {
+  const provider = req.oauthProvider;
+  const state = signPurposeToken('oauth-state', { provider: provider.name }, OAUTH_STATE_TTL);
+  const authorizeUrl = provider.getAuthorizeUrl({
+    state,
+    redirectUri: getOAuthRedirectUri(req, provider.name),
+    loginHint: req.query.login_hint
+  });
+
+  if (req.query.format === 'json') {
+    return res.json({
+      success: true,
+      provider: provider.name,
+      authorizeUrl
+    });
+  }
+
+  res.redirect(authorizeUrl);
+});
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: Complete an OAuth 2.0 login and issue API tokens
+ *     description: Links the provider identity to the user with the same email if that user has verified it, or creates a new user.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled
+ *       400:
+ *         description: Missing code, invalid state or unverified email
+ *       409:
+ *         description: An existing account has this email but hasn't verified it
+ *       502:
+ *         description: The provider rejected the code exchange
+ */
+router.get('/oauth/:provider/callback', checkDBConnection, loadOAuthProvider, async (req, res) => {
+  const provider = req.oauthProvider;
+  const { code, state, error: oauthError } = req.query;
+
+  if (oauthError) {
+    return res.status(400).json({
+      success: false,
+      error: 'OAuth authorization failed',
+      message: String(oauthError)
+    });
+  }
+
+  try {
+    const claims = verifyPurposeToken('oauth-state', state);
+    if (claims.provider !== provider.name || !code) {
+      throw new Error('State does not match provider');
+    }
+  } catch (stateError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid OAuth state',
+      message: `Please restart the login from /auth/oauth/${provider.name}/start`
+    });
+  }
+
+  let profile;
+  try {
+    const accessToken = await provider.exchangeCode({
+      code,
+      redirectUri: getOAuthRedirectUri(req, provider.name)
+    });
+    profile = await provider.fetchProfile(accessToken);
+  } catch (providerError) {
+    return res.status(502).json({
+      success: false,
+      error: 'OAuth provider error',
+      message: providerError.message
+    });
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      error: 'Verified email required',
+      message: `Your ${provider.name} account must have a verified email address`
+    });
+  }
+
+  try {
+    const user = await User.findOrCreateFromOAuth(provider.name, profile);
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email not verified',
+        message: `An account with this email already exists but hasn't verified it. Sign in with its password and verify the email before using ${provider.name} login.`
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account disabled'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.json({ ...twoFactorChallenge(user, `oauth:${provider.name}`), provider: provider.name });
+    }
+
+    const { tokens } = await startSession(user, req, `oauth:${provider.name}`);
+
     res.json({
       success: true,
       message: 'Login successful',
-      token: token,
+      provider: provider.name,
+      ...tokens,
+      data: user,
       instructions: 'Use this token in Authorization header as: Bearer [token]'
     });
-  } else {
-    res.status(401).json({
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
       success: false,
-      error: 'Invalid credentials',
-      hint: 'Use username: admin, password: password123'
+      error: 'Internal Server Error',
+      message: error.message
     });
   }
 });
@@ -57,23 +1005,102 @@ router.post('/login', (req, res) => {
  * /auth/logout:
  *   post:
  *     summary: Logout and invalidate token
+ *     description: Ends the current session, revoking its access and refresh tokens. A refreshToken in the body is revoked as well.
  *     tags: [Authentication]
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
  *       401:
  *         description: Authentication required
  */
-router.post('/logout', authenticate, (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  invalidateToken(token);
-  
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', requirePermission('POST /auth/logout'), async (req, res) => {
+  try {
+    await invalidateToken(getBearerToken(req));
+
+    if (req.token.sid) {
+      await revokeLogin(req.token.sid);
+    }
+
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken === 'string') {
+      const stored = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        userId: req.user.id
+      });
+
+      if (stored) {
+        await revokeLogin(stored.family);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      resourceType: 'session',
+      resourceId: req.token.sid
+    });
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: Revokes all of your sessions, including the current one, along with their refresh tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/logout-all', checkDBConnection, requirePermission('POST /auth/logout-all'), async (req, res) => {
+  try {
+    await invalidateToken(getBearerToken(req));
+    const revokedCount = await Session.revokeAllForUser(req.user.id);
+
+    await recordAudit(req, {
+      action: 'auth.logout_all',
+      resourceType: 'session',
+      metadata: { revokedSessions: revokedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,490 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Certification = require('../models/Certification');
+const User = require('../models/User');
+const { requirePermission, requireScope, authenticateIfMine, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credentials lapsing within this many days are flagged as expiring
+const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+// Days per unit in ?expiringWithin windows such as "30d", "6w" or "3m"
+const WINDOW_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Middleware to validate ObjectId
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  next();
+};
+
+// Parse an ?expiringWithin window ("30d", "6w", "3m", "1y"; a bare number
+// means days) into days, or null if it isn't a valid window
+const parseWindowDays = (value) => {
+  const match = /^(\d{1,4})([dwmy]?)$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * WINDOW_UNITS[(match[2] || 'd').toLowerCase()];
+};
+
+// Add expiry information to a certification for API responses
+const withExpiryStatus = (certification, warningDays = DEFAULT_EXPIRY_WARNING_DAYS, now = new Date()) => {
+  const { expiryDate } = certification;
+  let expiryStatus = 'valid';
+
+  if (expiryDate && expiryDate <= now) {
+    expiryStatus = 'expired';
+  } else if (expiryDate && expiryDate - now <= warningDays * DAY_MS) {
+    expiryStatus = 'expiring';
+  }
+
+  return {
+    ...certification.toJSON(),
+    expiryStatus,
+    daysUntilExpiry: certification.daysUntilExpiry(now)
+  };
+};
+
+/**
+ * @swagger
+ * /certification:
+ *   get:
+ *     summary: Get certifications, newest first
+ *     description: Each certification has an expiryStatus (valid, expiring or expired) and daysUntilExpiry (null if it never expires).
+ *     tags: [Certifications]
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter certifications by user ID
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return the authenticated user's certifications (requires a token)
+ *       - in: query
+ *         name: expiringWithin
+ *         schema:
+ *           type: string
+ *           example: 30d
+ *         description: Only return credentials that lapse within this window (days, weeks, months or years, e.g. 30d, 6w, 3m, 1y)
+ *     responses:
+ *       200:
+ *         description: List of certifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Certification'
+ *       400:
+ *         description: Invalid expiringWithin window
+ */
+router.get('/', checkDBConnection, authenticateIfMine, requireScope('certification:read'), async (req, res) => {
+  try {
+    const { userId, mine, expiringWithin } = req.query;
+    let filter = { isActive: true };
+    let warningDays;
+
+    if (mine === 'true') {
+      filter.userId = req.user.id;
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID format'
+        });
+      }
+      filter.userId = userId;
+    }
+
+    const now = new Date();
+
+    if (expiringWithin !== undefined) {
+      warningDays = parseWindowDays(expiringWithin);
+      if (warningDays === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          details: ['expiringWithin must be a number of days, weeks, months or years, e.g. 30d, 6w, 3m or 1y']
+        });
+      }
+      filter.expiryDate = { $gt: now, $lte: new Date(now.getTime() + warningDays * DAY_MS) };
+    }
+
+    const certifications = await Certification.find(filter)
+      .populate('userId', 'username fullName')
+      .sort({ issueDate: -1 });
+
+    const response = {
+      success: true,
+      count: certifications.length,
+      data: certifications.map(certification => withExpiryStatus(certification, warningDays, now))
+    };
+
+    if (userId || mine || expiringWithin) {
+      response.filter = { userId, mine, expiringWithin };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /certification/{id}:
+ *   get:
+ *     summary: Get a certification by ID
+ *     tags: [Certifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certification ID
+ *     responses:
+ *       200:
+ *         description: Certification found
+ *       404:
+ *         description: Certification not found
+ */
+router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+  try {
+    const certification = await Certification.findOne({ _id: req.params.id, isActive: true })
+      .populate('userId', 'username fullName');
+
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withExpiryStatus(certification)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /certification:
+ *   post:
+ *     summary: Add a certification (Protected Route)
+ *     description: userId defaults to the authenticated user; only admins may add certifications for other users.
+ *     tags: [Certifications]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Certification'
+ *           example:
+ *             name: "AWS Certified Developer - Associate"
+ *             issuer: "Amazon Web Services"
+ *             credentialId: "ABC123XYZ"
+ *             issueDate: "2023-04-01"
+ *             expiryDate: "2026-04-01"
+ *             verificationUrl: "https://www.credly.com/badges/abc123"
+ *     responses:
+ *       201:
+ *         description: Certification created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or adding certifications for another user
+ */
+router.post('/', checkDBConnection, requirePermission('POST /certification'), async (req, res) => {
+  try {
+    const certificationData = req.body;
+
+    // Certifications belong to the caller unless an admin adds one for someone else
+    if (!certificationData.userId) {
+      certificationData.userId = req.user.id;
+    } else if (!isOwnerOrAdmin(req, certificationData.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only add certifications to your own account'
+      });
+    }
+
+    // Validate required fields
+    const requiredFields = ['name', 'issuer', 'issueDate'];
+    const missingFields = requiredFields.filter(field => !certificationData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: missingFields.map(field => `${field} is required`)
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(certificationData.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Invalid user ID format']
+      });
+    }
+
+    const userExists = await User.exists({ _id: certificationData.userId, isActive: true });
+    if (!userExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['User not found']
+      });
+    }
+
+    const newCertification = new Certification(certificationData);
+    await newCertification.save();
+
+    await recordAudit(req, {
+      action: 'certification.create',
+      resourceType: 'certification',
+      resourceId: newCertification._id,
+      after: newCertification
+    });
+
+    await newCertification.populate('userId', 'username fullName');
+
+    res.status(201).json({
+      success: true,
+      message: 'Certification created successfully',
+      data: withExpiryStatus(newCertification)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /certification/{id}:
+ *   put:
+ *     summary: Update a certification (owner or admin)
+ *     tags: [Certifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certification ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Certification'
+ *           example:
+ *             expiryDate: "2029-04-01"
+ *     responses:
+ *       200:
+ *         description: Certification updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the certification's owner
+ *       404:
+ *         description: Certification not found
+ */
+router.put('/:id', checkDBConnection, requirePermission('PUT /certification/:id'), validateObjectId, async (req, res) => {
+  try {
+    const updateData = req.body;
+
+    // Don't allow ownership or soft-delete changes
+    delete updateData.userId;
+    delete updateData.isActive;
+    delete updateData.createdAt;
+
+    const certification = await Certification.findOne({ _id: req.params.id, isActive: true });
+
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, certification.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the certification owner or an admin can update this certification'
+      });
+    }
+
+    // Saved through the document so the expiry date is checked against the issue date
+    const before = certification.toObject();
+    certification.set(updateData);
+    await certification.save();
+
+    await recordAudit(req, {
+      action: 'certification.update',
+      resourceType: 'certification',
+      resourceId: certification._id,
+      before,
+      after: certification
+    });
+
+    await certification.populate('userId', 'username fullName');
+
+    res.json({
+      success: true,
+      message: 'Certification updated successfully',
+      data: withExpiryStatus(certification)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /certification/{id}:
+ *   delete:
+ *     summary: Delete a certification (soft delete, owner or admin)
+ *     tags: [Certifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Certification ID
+ *     responses:
+ *       200:
+ *         description: Certification deleted successfully
+ *       403:
+ *         description: Not the certification's owner
+ *       404:
+ *         description: Certification not found
+ */
+router.delete('/:id', checkDBConnection, requirePermission('DELETE /certification/:id'), validateObjectId, async (req, res) => {
+  try {
+    const certification = await Certification.findOne({ _id: req.params.id, isActive: true });
+
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, certification.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the certification owner or an admin can delete this certification'
+      });
+    }
+
+    const before = certification.toObject();
+    certification.isActive = false;
+    await certification.save();
+
+    await recordAudit(req, {
+      action: 'certification.delete',
+      resourceType: 'certification',
+      resourceId: certification._id,
+      before,
+      after: certification
+    });
+
+    res.json({
+      success: true,
+      message: 'Certification deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,441 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Education = require('../models/Education');
+const User = require('../models/User');
+const { requirePermission, requireScope, authenticateIfMine, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Middleware to validate ObjectId
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  next();
+};
+
+// Accept "present" as the end date of ongoing studies
+const normalizeEndDate = (data) => {
+  if (typeof data.endDate === 'string' && data.endDate.trim().toLowerCase() === 'present') {
+    data.endDate = null;
+  }
+};
+
+/**
+ * @swagger
+ * /education:
+ *   get:
+ *     summary: Get education entries as a reverse-chronological timeline
+ *     description: Ongoing studies come first, then by end date and start date, newest first.
+ *     tags: [Education]
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter entries by user ID
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return the authenticated user's entries (requires a token)
+ *     responses:
+ *       200:
+ *         description: Timeline of education entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Education'
+ */
+router.get('/', checkDBConnection, authenticateIfMine, requireScope('education:read'), async (req, res) => {
+  try {
+    const { userId, mine } = req.query;
+    let filter = { isActive: true };
+
+    if (mine === 'true') {
+      filter.userId = req.user.id;
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID format'
+        });
+      }
+      filter.userId = userId;
+    }
+
+    const entries = await Education.find(filter).populate('userId', 'username fullName');
+    entries.sort(Education.compareTimeline);
+
+    const response = {
+      success: true,
+      count: entries.length,
+      data: entries
+    };
+
+    if (userId || mine) {
+      response.filter = { userId, mine };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /education/{id}:
+ *   get:
+ *     summary: Get an education entry by ID
+ *     tags: [Education]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Education ID
+ *     responses:
+ *       200:
+ *         description: Education entry found
+ *       404:
+ *         description: Education entry not found
+ */
+router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+  try {
+    const entry = await Education.findOne({ _id: req.params.id, isActive: true })
+      .populate('userId', 'username fullName');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Education entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /education:
+ *   post:
+ *     summary: Add an education entry (Protected Route)
+ *     description: userId defaults to the authenticated user; only admins may add entries for other users.
+ *     tags: [Education]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Education'
+ *           example:
+ *             institution: "State University"
+ *             degree: "BSc"
+ *             fieldOfStudy: "Computer Science"
+ *             startDate: "2014-09-01"
+ *             endDate: "2018-06-30"
+ *             grade: "First Class Honours"
+ *     responses:
+ *       201:
+ *         description: Education entry created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or adding entries for another user
+ */
+router.post('/', checkDBConnection, requirePermission('POST /education'), async (req, res) => {
+  try {
+    const entryData = req.body;
+
+    // Entries belong to the caller unless an admin adds one for someone else
+    if (!entryData.userId) {
+      entryData.userId = req.user.id;
+    } else if (!isOwnerOrAdmin(req, entryData.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only add education to your own account'
+      });
+    }
+
+    // Validate required fields
+    const requiredFields = ['institution', 'degree', 'startDate'];
+    const missingFields = requiredFields.filter(field => !entryData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: missingFields.map(field => `${field} is required`)
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(entryData.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Invalid user ID format']
+      });
+    }
+
+    const userExists = await User.exists({ _id: entryData.userId, isActive: true });
+    if (!userExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['User not found']
+      });
+    }
+
+    normalizeEndDate(entryData);
+
+    const newEntry = new Education(entryData);
+    await newEntry.save();
+
+    await recordAudit(req, {
+      action: 'education.create',
+      resourceType: 'education',
+      resourceId: newEntry._id,
+      after: newEntry
+    });
+
+    await newEntry.populate('userId', 'username fullName');
+
+    res.status(201).json({
+      success: true,
+      message: 'Education entry created successfully',
+      data: newEntry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /education/{id}:
+ *   put:
+ *     summary: Update an education entry (owner or admin)
+ *     tags: [Education]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Education ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Education'
+ *           example:
+ *             grade: "3.8 GPA"
+ *     responses:
+ *       200:
+ *         description: Education entry updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the entry's owner
+ *       404:
+ *         description: Education entry not found
+ */
+router.put('/:id', checkDBConnection, requirePermission('PUT /education/:id'), validateObjectId, async (req, res) => {
+  try {
+    const updateData = req.body;
+
+    // Don't allow ownership or soft-delete changes
+    delete updateData.userId;
+    delete updateData.isActive;
+    delete updateData.createdAt;
+
+    const entry = await Education.findOne({ _id: req.params.id, isActive: true });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Education entry not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, entry.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the entry owner or an admin can update this education entry'
+      });
+    }
+
+    normalizeEndDate(updateData);
+
+    // Saved through the document so the end date is checked against the start date
+    const before = entry.toObject();
+    entry.set(updateData);
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'education.update',
+      resourceType: 'education',
+      resourceId: entry._id,
+      before,
+      after: entry
+    });
+
+    await entry.populate('userId', 'username fullName');
+
+    res.json({
+      success: true,
+      message: 'Education entry updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /education/{id}:
+ *   delete:
+ *     summary: Delete an education entry (soft delete, owner or admin)
+ *     tags: [Education]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Education ID
+ *     responses:
+ *       200:
+ *         description: Education entry deleted successfully
+ *       403:
+ *         description: Not the entry's owner
+ *       404:
+ *         description: Education entry not found
+ */
+router.delete('/:id', checkDBConnection, requirePermission('DELETE /education/:id'), validateObjectId, async (req, res) => {
+  try {
+    const entry = await Education.findOne({ _id: req.params.id, isActive: true });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Education entry not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, entry.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the entry owner or an admin can delete this education entry'
+      });
+    }
+
+    const before = entry.toObject();
+    entry.isActive = false;
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'education.delete',
+      resourceType: 'education',
+      resourceId: entry._id,
+      before,
+      after: entry
+    });
+
+    res.json({
+      success: true,
+      message: 'Education entry deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
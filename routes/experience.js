@@ -0,0 +1,497 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Experience = require('../models/Experience');
+const User = require('../models/User');
+const { requirePermission, requireScope, authenticateIfMine, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { findSkillByName, resolveTechnologies } = require('../services/skillCatalog');
+
+const router = express.Router();
+
+// Linked catalog skills shown on entries; deleted skills are left out
+const SKILLS_POPULATE = { path: 'skills', select: 'name category', match: { isActive: true } };
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Middleware to validate ObjectId
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  next();
+};
+
+// Accept "present" as the end date of a current position
+const normalizeEndDate = (data) => {
+  if (typeof data.endDate === 'string' && data.endDate.trim().toLowerCase() === 'present') {
+    data.endDate = null;
+  }
+};
+
+// Replace skill names with catalog skill IDs; returns the names that
+// aren't in the catalog
+const linkSkills = async (data) => {
+  const { skills, unresolved } = await resolveTechnologies(data.skills);
+  data.skills = skills.map(skill => skill._id);
+  return unresolved;
+};
+
+const unknownSkillsError = (unresolved) => ({
+  success: false,
+  error: 'Validation Error',
+  details: [`Unknown skills: ${unresolved.join(', ')}. Add them with POST /skill first`]
+});
+
+/**
+ * @swagger
+ * /experience:
+ *   get:
+ *     summary: Get work experience as a reverse-chronological timeline
+ *     description: Current positions come first, then by end date and start date, newest first.
+ *     tags: [Experience]
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter entries by user ID
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return the authenticated user's entries (requires a token)
+ *       - in: query
+ *         name: skill
+ *         schema:
+ *           type: string
+ *         description: Only return entries linked to this catalog skill (by name or alias)
+ *       - in: query
+ *         name: current
+ *         schema:
+ *           type: boolean
+ *         description: Only return current positions
+ *     responses:
+ *       200:
+ *         description: Timeline of experience entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Experience'
+ */
+router.get('/', checkDBConnection, authenticateIfMine, requireScope('experience:read'), async (req, res) => {
+  try {
+    const { userId, mine, skill, current } = req.query;
+    let filter = { isActive: true };
+
+    if (mine === 'true') {
+      filter.userId = req.user.id;
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID format'
+        });
+      }
+      filter.userId = userId;
+    }
+
+    if (skill) {
+      const linkedSkill = await findSkillByName(skill);
+      filter.skills = linkedSkill ? linkedSkill._id : { $in: [] };
+    }
+
+    if (current === 'true') {
+      filter.endDate = null;
+    }
+
+    const entries = await Experience.find(filter)
+      .populate('userId', 'username fullName')
+      .populate(SKILLS_POPULATE);
+    entries.sort(Experience.compareTimeline);
+
+    const response = {
+      success: true,
+      count: entries.length,
+      data: entries
+    };
+
+    if (userId || mine || skill || current) {
+      response.filter = { userId, mine, skill, current };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /experience/{id}:
+ *   get:
+ *     summary: Get an experience entry by ID
+ *     tags: [Experience]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Experience ID
+ *     responses:
+ *       200:
+ *         description: Experience entry found
+ *       404:
+ *         description: Experience entry not found
+ */
+router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+  try {
+    const entry = await Experience.findOne({ _id: req.params.id, isActive: true })
+      .populate('userId', 'username fullName')
+      .populate(SKILLS_POPULATE);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Experience entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /experience:
+ *   post:
+ *     summary: Add a work experience entry (Protected Route)
+ *     description: userId defaults to the authenticated user; only admins may add entries for other users. Skills are catalog skill names or aliases.
+ *     tags: [Experience]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Experience'
+ *           example:
+ *             company: "Acme Corp"
+ *             role: "Senior Backend Engineer"
+ *             location: "Remote"
+ *             startDate: "2021-03-01"
+ *             endDate: "present"
+ *             description: "Built the payments platform"
+ *             skills: ["Node.js", "MongoDB"]
+ *     responses:
+ *       201:
+ *         description: Experience entry created successfully
+ *       400:
+ *         description: Validation error or unknown skills
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or adding entries for another user
+ */
+router.post('/', checkDBConnection, requirePermission('POST /experience'), async (req, res) => {
+  try {
+    const entryData = req.body;
+
+    // Entries belong to the caller unless an admin adds one for someone else
+    if (!entryData.userId) {
+      entryData.userId = req.user.id;
+    } else if (!isOwnerOrAdmin(req, entryData.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only add experience to your own account'
+      });
+    }
+
+    // Validate required fields
+    const requiredFields = ['company', 'role', 'startDate'];
+    const missingFields = requiredFields.filter(field => !entryData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: missingFields.map(field => `${field} is required`)
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(entryData.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Invalid user ID format']
+      });
+    }
+
+    const userExists = await User.exists({ _id: entryData.userId, isActive: true });
+    if (!userExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['User not found']
+      });
+    }
+
+    normalizeEndDate(entryData);
+
+    if (entryData.skills !== undefined) {
+      const unresolved = await linkSkills(entryData);
+      if (unresolved.length > 0) {
+        return res.status(400).json(unknownSkillsError(unresolved));
+      }
+    }
+
+    const newEntry = new Experience(entryData);
+    await newEntry.save();
+
+    await recordAudit(req, {
+      action: 'experience.create',
+      resourceType: 'experience',
+      resourceId: newEntry._id,
+      after: newEntry
+    });
+
+    await newEntry.populate([{ path: 'userId', select: 'username fullName' }, SKILLS_POPULATE]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Experience entry created successfully',
+      data: newEntry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /experience/{id}:
+ *   put:
+ *     summary: Update an experience entry (owner or admin)
+ *     tags: [Experience]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Experience ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Experience'
+ *           example:
+ *             endDate: "2024-06-30"
+ *             description: "Led the payments platform team"
+ *     responses:
+ *       200:
+ *         description: Experience entry updated successfully
+ *       400:
+ *         description: Validation error or unknown skills
+ *       403:
+ *         description: Not the entry's owner
+ *       404:
+ *         description: Experience entry not found
+ */
+router.put('/:id', checkDBConnection, requirePermission('PUT /experience/:id'), validateObjectId, async (req, res) => {
+  try {
+    const updateData = req.body;
+
+    // Don't allow ownership or soft-delete changes
+    delete updateData.userId;
+    delete updateData.isActive;
+    delete updateData.createdAt;
+
+    const entry = await Experience.findOne({ _id: req.params.id, isActive: true });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Experience entry not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, entry.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the entry owner or an admin can update this experience entry'
+      });
+    }
+
+    normalizeEndDate(updateData);
+
+    if (updateData.skills !== undefined) {
+      const unresolved = await linkSkills(updateData);
+      if (unresolved.length > 0) {
+        return res.status(400).json(unknownSkillsError(unresolved));
+      }
+    }
+
+    // Saved through the document so the end date is checked against the start date
+    const before = entry.toObject();
+    entry.set(updateData);
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'experience.update',
+      resourceType: 'experience',
+      resourceId: entry._id,
+      before,
+      after: entry
+    });
+
+    await entry.populate([{ path: 'userId', select: 'username fullName' }, SKILLS_POPULATE]);
+
+    res.json({
+      success: true,
+      message: 'Experience entry updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /experience/{id}:
+ *   delete:
+ *     summary: Delete an experience entry (soft delete, owner or admin)
+ *     tags: [Experience]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Experience ID
+ *     responses:
+ *       200:
+ *         description: Experience entry deleted successfully
+ *       403:
+ *         description: Not the entry's owner
+ *       404:
+ *         description: Experience entry not found
+ */
+router.delete('/:id', checkDBConnection, requirePermission('DELETE /experience/:id'), validateObjectId, async (req, res) => {
+  try {
+    const entry = await Experience.findOne({ _id: req.params.id, isActive: true });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Experience entry not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, entry.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the entry owner or an admin can delete this experience entry'
+      });
+    }
+
+    const before = entry.toObject();
+    entry.isActive = false;
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'experience.delete',
+      resourceType: 'experience',
+      resourceId: entry._id,
+      before,
+      after: entry
+    });
+
+    res.json({
+      success: true,
+      message: 'Experience entry deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
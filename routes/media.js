@@ -0,0 +1,106 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const { getStorage } = require('../services/storage');
+
+const router = express.Router();
+
+// Content never changes for a media ID, so clients may cache it for good
+const MEDIA_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Middleware to validate ObjectId
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /media/{id}:
+ *   get:
+ *     summary: Serve an uploaded image
+ *     description: The ETag is the SHA-256 of the file, so a matching If-None-Match gets 304 Not Modified.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Media ID
+ *     responses:
+ *       200:
+ *         description: The image bytes
+ *         content:
+ *           image/png: {}
+ *           image/jpeg: {}
+ *           image/gif: {}
+ *           image/webp: {}
+ *       304:
+ *         description: Not modified
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Media not found
+ */
+router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    // Answer conditional requests without reading the file
+    res.set('ETag', `"${media.hash}"`);
+    if (req.fresh) {
+      res.set('Cache-Control', MEDIA_CACHE_CONTROL);
+      return res.status(304).end();
+    }
+
+    const content = await getStorage().get(media.hash);
+
+    if (!content) {
+      res.removeHeader('ETag');
+      return res.status(404).json({
+        success: false,
+        message: 'Media content not found'
+      });
+    }
+
+    res.set({
+      'Cache-Control': MEDIA_CACHE_CONTROL,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.type(media.contentType).send(content);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
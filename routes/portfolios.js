@@ -0,0 +1,566 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Portfolio = require('../models/Portfolio');
+const User = require('../models/User');
+const Theme = require('../models/Theme');
+const Project = require('../models/Project');
+const Skill = require('../models/Skill');
+const UserSkill = require('../models/UserSkill');
+const Experience = require('../models/Experience');
+const {
+  requirePermission,
+  requireScope,
+  authenticateIfMine,
+  authenticateIfPresent,
+  isOwnerOrAdmin
+} = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { resolveEffectiveTheme, themeNameQuery } = require('../services/themes');
+
+const router = express.Router();
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Publishing is reserved for owners with a verified email address
+const unverifiedPublishError = {
+  success: false,
+  error: 'Forbidden',
+  message: 'The portfolio owner must verify their email address before publishing. Use POST /auth/verify-email/resend to get a new link.'
+};
+
+// Public profile fields shown on a portfolio
+const USER_FIELDS = 'username fullName bio profilePicture';
+
+const isIdList = (value) => Array.isArray(value) && value.every(id => mongoose.Types.ObjectId.isValid(id));
+
+// Check the theme, projects and skills a portfolio points at, resolving
+// themeName to themeId. Returns a list of validation errors.
+const validateReferences = async (data, ownerId) => {
+  const errors = [];
+
+  if (data.themeName !== undefined) {
+    const theme = await Theme.findOne({ themeName: themeNameQuery(data.themeName), isActive: true });
+    if (theme) {
+      data.themeId = theme._id;
+    } else {
+      errors.push(`Theme "${data.themeName}" not found`);
+    }
+    delete data.themeName;
+  } else if (data.themeId) {
+    if (!mongoose.Types.ObjectId.isValid(data.themeId) || !(await Theme.exists({ _id: data.themeId, isActive: true }))) {
+      errors.push('Theme not found');
+    }
+  }
+
+  if (data.projects !== undefined) {
+    if (!isIdList(data.projects)) {
+      errors.push('projects must be an array of project IDs');
+    } else {
+      data.projects = [...new Set(data.projects.map(String))];
+      const owned = await Project.countDocuments({ _id: { $in: data.projects }, userId: ownerId, isActive: true });
+      if (owned !== data.projects.length) {
+        errors.push('Every project must exist and belong to the portfolio owner');
+      }
+    }
+  }
+
+  if (data.skills !== undefined) {
+    if (!isIdList(data.skills)) {
+      errors.push('skills must be an array of skill IDs');
+    } else {
+      data.skills = [...new Set(data.skills.map(String))];
+      const found = await Skill.countDocuments({ _id: { $in: data.skills }, isActive: true });
+      if (found !== data.skills.length) {
+        errors.push('Every skill must exist');
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Load the user's portfolio with every reference resolved; deleted themes,
+// projects and skills are left out
+const findResolvedPortfolio = (userId) => {
+  return Portfolio.findOne({ userId, isActive: true })
+    .populate('userId', USER_FIELDS)
+    .populate({ path: 'themeId', match: { isActive: true } })
+    .populate({ path: 'projects', match: { isActive: true } })
+    .populate({ path: 'skills', match: { isActive: true } });
+};
+
+// Shape a resolved portfolio for clients, pairing each skill with the
+// owner's proficiency in it (null if they haven't rated it) and adding the
+// owner's experience timeline. Without a (live) portfolio theme, the owner's
+// effective theme is used. Unpublished projects are left out when
+// publishedProjectsOnly is set.
+const toResolvedView = async (portfolio, { publishedProjectsOnly = false } = {}) => {
+  const skills = portfolio.skills.filter(Boolean);
+  const userSkills = await UserSkill.find({
+    userId: portfolio.userId._id,
+    skillId: { $in: skills.map(skill => skill._id) },
+    isActive: true
+  }, '-_id skillId proficiencyLevel yearsOfExperience lastUsedAt isHighlighted').lean();
+  const bySkill = new Map(userSkills.map(({ skillId, ...proficiency }) => [String(skillId), proficiency]));
+  const experience = await Experience.find({ userId: portfolio.userId._id, isActive: true })
+    .populate({ path: 'skills', select: 'name category', match: { isActive: true } });
+  experience.sort(Experience.compareTimeline);
+
+  let theme = portfolio.themeId;
+  let themeSource = 'portfolio';
+  if (!theme) {
+    const owner = await User.findById(portfolio.userId._id, 'themeId').lean();
+    ({ theme, source: themeSource } = await resolveEffectiveTheme(owner && owner.themeId));
+  }
+
+  return {
+    _id: portfolio._id,
+    title: portfolio.title,
+    tagline: portfolio.tagline,
+    isPublished: portfolio.isPublished,
+    user: portfolio.userId,
+    theme,
+    themeSource,
+    sections: portfolio.sections,
+    projects: portfolio.projects.filter(project => project && (project.isPublished || !publishedProjectsOnly)),
+    skills: skills.map(skill => ({
+      ...skill.toObject(),
+      proficiency: bySkill.get(String(skill._id)) || null
+    })),
+    experience,
+    createdAt: portfolio.createdAt,
+    updatedAt: portfolio.updatedAt
+  };
+};
+
+// Load the active user named in the URL, or respond 404
+const loadOwner = async (req, res, next) => {
+  try {
+    const owner = await User.findOne({ username: req.params.username, isActive: true });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.owner = owner;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /portfolio:
+ *   get:
+ *     summary: Get all published portfolios
+ *     tags: [Portfolios]
+ *     parameters:
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return the authenticated user's own portfolio, published or not (requires a token)
+ *     responses:
+ *       200:
+ *         description: List of portfolios
+ *       500:
+ *         description: Server error
+ */
+router.get('/', checkDBConnection, authenticateIfMine, requireScope('portfolio:read'), async (req, res) => {
+  try {
+    const { mine } = req.query;
+    const filter = mine === 'true'
+      ? { isActive: true, userId: req.user.id }
+      : { isActive: true, isPublished: true };
+
+    const portfolios = await Portfolio.find(filter)
+      .populate('userId', USER_FIELDS)
+      .populate('themeId', 'themeName')
+      .sort({ updatedAt: -1 });
+
+    const response = {
+      success: true,
+      count: portfolios.length,
+      data: portfolios
+    };
+
+    if (mine) {
+      response.filter = { mine };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio/{username}:
+ *   get:
+ *     summary: Get a user's portfolio with its user, theme, projects and skills resolved
+ *     description: Unpublished portfolios, and unpublished projects in a portfolio, are only visible to their owner and admins.
+ *     tags: [Portfolios]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The fully resolved portfolio
+ *       404:
+ *         description: User or portfolio not found
+ */
+router.get('/:username', checkDBConnection, authenticateIfPresent, requireScope('portfolio:read'), loadOwner, async (req, res) => {
+  try {
+    const portfolio = await findResolvedPortfolio(req.owner._id);
+
+    if (!portfolio || (!portfolio.isPublished && !isOwnerOrAdmin(req, req.owner._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      // Visitors only see the owner's published projects
+      data: await toResolvedView(portfolio, { publishedProjectsOnly: !isOwnerOrAdmin(req, req.owner._id) })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio:
+ *   post:
+ *     summary: Create a portfolio (Protected Route)
+ *     description: userId defaults to the authenticated user; only admins may create portfolios for other users. Each user has at most one portfolio.
+ *     tags: [Portfolios]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Portfolio'
+ *           example:
+ *             title: "Jane Doe - Full-Stack Developer"
+ *             tagline: "I build fast, accessible web apps"
+ *             themeName: "Ocean Blue"
+ *             sections:
+ *               - type: about
+ *                 title: About me
+ *                 content: "Five years of building for the web."
+ *               - type: projects
+ *               - type: skills
+ *             projects: ["507f1f77bcf86cd799439011"]
+ *             skills: ["507f1f77bcf86cd799439012"]
+ *     responses:
+ *       201:
+ *         description: Portfolio created successfully
+ *       400:
+ *         description: Validation error or the user already has a portfolio
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or publishing while the owner's email is unverified
+ */
+router.post('/', checkDBConnection, requirePermission('POST /portfolio'), async (req, res) => {
+  try {
+    const portfolioData = req.body;
+    delete portfolioData.isActive;
+
+    // Portfolios belong to the caller unless an admin creates one for someone else
+    if (!portfolioData.userId) {
+      portfolioData.userId = req.user.id;
+    } else if (!isOwnerOrAdmin(req, portfolioData.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only create a portfolio for your own account'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(portfolioData.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Invalid user ID format']
+      });
+    }
+
+    const owner = await User.findOne({ _id: portfolioData.userId, isActive: true });
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['User not found']
+      });
+    }
+
+    if (portfolioData.isPublished && !owner.isVerified) {
+      return res.status(403).json(unverifiedPublishError);
+    }
+
+    const referenceErrors = await validateReferences(portfolioData, owner._id);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: referenceErrors
+      });
+    }
+
+    const newPortfolio = new Portfolio(portfolioData);
+    await newPortfolio.save();
+
+    await recordAudit(req, {
+      action: 'portfolio.create',
+      resourceType: 'portfolio',
+      resourceId: newPortfolio._id,
+      after: newPortfolio
+    });
+
+    const portfolio = await findResolvedPortfolio(owner._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Portfolio created successfully',
+      data: await toResolvedView(portfolio)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: 'This user already has a portfolio'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio/{username}:
+ *   put:
+ *     summary: Update a user's portfolio (portfolio owner or admin)
+ *     description: Sections, projects and skills are replaced as whole lists, in the order given.
+ *     tags: [Portfolios]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Portfolio'
+ *           example:
+ *             tagline: "Now open to freelance work"
+ *             isPublished: true
+ *     responses:
+ *       200:
+ *         description: Portfolio updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the portfolio owner, or publishing while the owner's email is unverified
+ *       404:
+ *         description: User or portfolio not found
+ */
+router.put('/:username', checkDBConnection, requirePermission('PUT /portfolio/:username'), loadOwner, async (req, res) => {
+  try {
+    const updateData = req.body;
+
+    // Don't allow ownership or soft-delete changes
+    delete updateData.userId;
+    delete updateData.isActive;
+
+    const portfolio = await Portfolio.findOne({ userId: req.owner._id, isActive: true });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, portfolio.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the portfolio owner or an admin can update this portfolio'
+      });
+    }
+
+    if (updateData.isPublished && !req.owner.isVerified) {
+      return res.status(403).json(unverifiedPublishError);
+    }
+
+    const referenceErrors = await validateReferences(updateData, req.owner._id);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: referenceErrors
+      });
+    }
+
+    const updatedPortfolio = await Portfolio.findOneAndUpdate(
+      { _id: portfolio._id, isActive: true },
+      { ...updateData, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: 'portfolio.update',
+      resourceType: 'portfolio',
+      resourceId: portfolio._id,
+      before: portfolio,
+      after: updatedPortfolio
+    });
+
+    const resolved = await findResolvedPortfolio(req.owner._id);
+
+    res.json({
+      success: true,
+      message: 'Portfolio updated successfully',
+      data: await toResolvedView(resolved)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio/{username}:
+ *   delete:
+ *     summary: Delete a user's portfolio (portfolio owner or admin)
+ *     tags: [Portfolios]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Portfolio deleted successfully
+ *       403:
+ *         description: Not the portfolio owner
+ *       404:
+ *         description: User or portfolio not found
+ */
+router.delete('/:username', checkDBConnection, requirePermission('DELETE /portfolio/:username'), loadOwner, async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({ userId: req.owner._id, isActive: true });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, portfolio.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the portfolio owner or an admin can delete this portfolio'
+      });
+    }
+
+    const before = portfolio.toObject();
+    portfolio.isActive = false;
+    await portfolio.save();
+
+    await recordAudit(req, {
+      action: 'portfolio.delete',
+      resourceType: 'portfolio',
+      resourceId: portfolio._id,
+      before,
+      after: portfolio
+    });
+
+    res.json({
+      success: true,
+      message: 'Portfolio deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,58 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
+const { requirePermission, requireScope, authenticateIfMine, authenticateIfPresent, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { findSkillByName, resolveTechnologies } = require('../services/skillCatalog');
+const { storeUpload, mediaUrl } = require('../services/media');
+const { uploadImages } = require('../middleware/upload');
+const { PERMISSIONS, getRouteScope } = require('../config/permissions');
 
 const router = express.Router();
 
+// Publishing is reserved for owners with a verified email address
+const unverifiedPublishError = {
+  success: false,
+  error: 'Forbidden',
+  message: 'The project owner must verify their email address before publishing. Use POST /auth/verify-email/resend to get a new link.'
+};
+
+// Linked catalog skills shown on projects; deleted skills are left out
+const SKILLS_POPULATE = { path: 'skills', select: 'name category', match: { isActive: true } };
+
+// Auto-creating skills needs the same rights as POST /skill
+const canCreateSkills = (req) => {
+  const route = 'POST /skill';
+  return PERMISSIONS[route].includes(req.user.role) &&
+    (req.user.authType !== 'api-key' || req.user.scopes.includes(getRouteScope(route)));
+};
+
+// Resolve technologies to catalog skills, creating missing ones when the
+// request asks for it, and audit any skills created
+const linkSkills = async (req, technologies) => {
+  const resolution = await resolveTechnologies(technologies, {
+    createMissing: req.body.createMissingSkills === true
+  });
+
+  for (const skill of resolution.created) {
+    await recordAudit(req, {
+      action: 'skill.create',
+      resourceType: 'skill',
+      resourceId: skill._id,
+      after: skill,
+      metadata: { source: 'project' }
+    });
+  }
+
+  return resolution;
+};
+
+const skillCreationForbidden = {
+  success: false,
+  error: 'Forbidden',
+  message: 'createMissingSkills requires permission to create skills (POST /skill)'
+};
+
 // Middleware to check database connection
 const checkDBConnection = (req, res, next) => {
   if (mongoose.connection.readyState !== 1) {
@@ -30,11 +78,109 @@ const validateObjectId = (req, res, next) => {
   next();
 };
 
+// Load the active project for a gallery change by its owner or an admin,
+// and the gallery item named in the path if there is one
+const loadGallery = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, isActive: true });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, project.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the project owner or an admin can change the media of this project'
+      });
+    }
+
+    const { itemId } = req.params;
+    if (itemId) {
+      req.mediaItem = mongoose.Types.ObjectId.isValid(itemId) ? project.media.id(itemId) : null;
+      if (!req.mediaItem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media item not found'
+        });
+      }
+    }
+
+    req.project = project;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Form fields arrive as strings, JSON bodies as booleans
+const isTrue = (value) => value === true || value === 'true';
+
+// Index to insert a gallery item at; the end when no position is given,
+// null when the position is out of range
+const insertPosition = (position, length) => {
+  if (position === undefined || position === null || position === '') {
+    return length;
+  }
+  const index = Number(position);
+  return Number.isInteger(index) && index >= 0 && index <= length ? index : null;
+};
+
+const invalidPositionError = (length) => ({
+  success: false,
+  error: 'Validation Error',
+  details: [`position must be a whole number from 0 to ${length}`]
+});
+
+// Insert an item into the gallery, making it the cover if it asks to be
+const addMediaItem = (project, fields, position) => {
+  project.media.splice(position, 0, {
+    type: fields.type,
+    url: fields.url,
+    mediaId: fields.mediaId,
+    caption: fields.caption,
+    altText: fields.altText,
+    isCover: false
+  });
+
+  const item = project.media[position];
+  if (isTrue(fields.isCover)) {
+    project.setCover(item);
+  }
+  return item;
+};
+
+const sendGalleryError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal Server Error',
+    message: error.message
+  });
+};
+
 /**
  * @swagger
  * /project:
  *   get:
  *     summary: Get all projects
+ *     description: Unpublished projects are only listed for their owner and admins.
  *     tags: [Projects]
  *     parameters:
  *       - in: query
@@ -48,6 +194,16 @@ const validateObjectId = (req, res, next) => {
  *         schema:
  *           type: string
  *         description: Filter projects by user ID
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return the authenticated user's projects (requires a token)
+ *       - in: query
+ *         name: skill
+ *         schema:
+ *           type: string
+ *         description: Only return projects linked to this catalog skill (by name)
  *     responses:
  *       200:
  *         description: List of all projects
@@ -70,16 +226,18 @@ const validateObjectId = (req, res, next) => {
  *                   type: object
  *                   description: Applied filters
  */
-router.get('/', checkDBConnection, async (req, res) => {
+router.get('/', checkDBConnection, authenticateIfMine, authenticateIfPresent, requireScope('project:read'), async (req, res) => {
   try {
-    const { status, userId } = req.query;
-    let filter = { isActive: true };
+    const { status, userId, mine, skill } = req.query;
+    let filter = { isActive: true, ...Project.visibleTo(req.user) };
     
     if (status) {
       filter.status = status;
     }
     
-    if (userId) {
+    if (mine === 'true') {
+      filter.userId = req.user.id;
+    } else if (userId) {
       if (!mongoose.Types.ObjectId.isValid(userId)) {
         return res.status(400).json({
           success: false,
@@ -89,8 +247,14 @@ router.get('/', checkDBConnection, async (req, res) => {
       filter.userId = userId;
     }
     
+    if (skill) {
+      const linkedSkill = await findSkillByName(skill);
+      filter.skills = linkedSkill ? linkedSkill._id : { $in: [] };
+    }
+    
     const projects = await Project.find(filter)
       .populate('userId', 'username fullName email')
+      .populate(SKILLS_POPULATE)
       .sort({ createdAt: -1 });
     
     const response = {
@@ -99,8 +263,8 @@ router.get('/', checkDBConnection, async (req, res) => {
       data: projects
     };
     
-    if (status || userId) {
-      response.filter = { status, userId };
+    if (status || userId || mine || skill) {
+      response.filter = { status, userId, mine, skill };
     }
     
     res.json(response);
@@ -118,6 +282,7 @@ router.get('/', checkDBConnection, async (req, res) => {
  * /project/{id}:
  *   get:
  *     summary: Get project by ID
+ *     description: Unpublished projects are only visible to their owner and admins.
  *     tags: [Projects]
  *     parameters:
  *       - in: path
@@ -142,13 +307,16 @@ router.get('/', checkDBConnection, async (req, res) => {
  *       404:
  *         description: Project not found
  */
-router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+router.get('/:id', checkDBConnection, authenticateIfPresent, requireScope('project:read'), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params;
     const project = await Project.findOne({ 
       _id: id,
-      isActive: true
-    }).populate('userId', 'username fullName email');
+      isActive: true,
+      ...Project.visibleTo(req.user)
+    })
+      .populate('userId', 'username fullName email')
+      .populate(SKILLS_POPULATE);
     
     if (!project) {
       return res.status(404).json({
@@ -175,6 +343,7 @@ router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
  * /project:
  *   post:
  *     summary: Create a new project (Protected Route)
+ *     description: userId defaults to the authenticated user; only admins may create projects for other users. Technologies are linked to catalog skills by name; unknown ones are listed in unresolvedTechnologies, or added to the catalog with createMissingSkills.
  *     tags: [Projects]
  *     security:
  *       - BearerAuth: []
@@ -192,18 +361,32 @@ router.get('/:id', checkDBConnection, validateObjectId, async (req, res) => {
  *             liveUrl: "https://myportfolio.netlify.app"
  *             status: "completed"
  *             userId: "507f1f77bcf86cd799439011"
+ *             createMissingSkills: true
  *     responses:
  *       201:
- *         description: Project created successfully
+ *         description: Project created successfully, with createdSkills and unresolvedTechnologies
  *       400:
  *         description: Validation error
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or publishing while the owner's email is unverified
  */
-router.post('/', checkDBConnection, authenticate, async (req, res) => {
+router.post('/', checkDBConnection, requirePermission('POST /project'), async (req, res) => {
   try {
     const projectData = req.body;
     
+    // Projects belong to the caller unless an admin creates one for someone else
+    if (!projectData.userId) {
+      projectData.userId = req.user.id;
+    } else if (!isOwnerOrAdmin(req, projectData.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only create projects for your own account'
+      });
+    }
+    
     // Validate required fields
     const requiredFields = ['title', 'description', 'technologies', 'userId'];
     const missingFields = requiredFields.filter(field => !projectData[field]);
@@ -234,16 +417,36 @@ router.post('/', checkDBConnection, authenticate, async (req, res) => {
       });
     }
     
+    if (projectData.isPublished && !userExists.isVerified) {
+      return res.status(403).json(unverifiedPublishError);
+    }
+    
+    if (projectData.createMissingSkills && !canCreateSkills(req)) {
+      return res.status(403).json(skillCreationForbidden);
+    }
+    
+    const { skills, created, unresolved } = await linkSkills(req, projectData.technologies);
+    projectData.skills = skills.map(skill => skill._id);
+    
     const newProject = new Project(projectData);
     await newProject.save();
     
+    await recordAudit(req, {
+      action: 'project.create',
+      resourceType: 'project',
+      resourceId: newProject._id,
+      after: newProject
+    });
+    
     // Populate user data in response
-    await newProject.populate('userId', 'username fullName email');
+    await newProject.populate([{ path: 'userId', select: 'username fullName email' }, SKILLS_POPULATE]);
     
     res.status(201).json({
       success: true,
       message: 'Project created successfully',
-      data: newProject
+      data: newProject,
+      createdSkills: created.map(skill => skill.name),
+      unresolvedTechnologies: unresolved
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -267,8 +470,10 @@ router.post('/', checkDBConnection, authenticate, async (req, res) => {
  * @swagger
  * /project/{id}:
  *   put:
- *     summary: Update project by ID
+ *     summary: Update project by ID (owner or admin)
  *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -291,6 +496,8 @@ router.post('/', checkDBConnection, authenticate, async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               createMissingSkills:
+ *                 type: boolean
  *               githubUrl:
  *                 type: string
  *               liveUrl:
@@ -298,40 +505,91 @@ router.post('/', checkDBConnection, authenticate, async (req, res) => {
  *               status:
  *                 type: string
  *                 enum: [planning, in-progress, completed, on-hold]
+ *               isPublished:
+ *                 type: boolean
  *           example:
  *             status: "completed"
  *             description: "Updated project description"
  *     responses:
  *       200:
- *         description: Project updated successfully
+ *         description: Project updated successfully; when technologies change, with createdSkills and unresolvedTechnologies
+ *       403:
+ *         description: Not the project owner, or publishing while the owner's email is unverified
  *       404:
  *         description: Project not found
  */
-router.put('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+router.put('/:id', checkDBConnection, requirePermission('PUT /project/:id'), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
     
-    // Don't allow direct userId updates
+    // Don't allow ownership or soft-delete changes
     delete updateData.userId;
+    delete updateData.isActive;
+    delete updateData.createdAt;
     
-    const updatedProject = await Project.findOneAndUpdate(
-      { _id: id, isActive: true },
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('userId', 'username fullName email');
+    // The gallery, and imageUrl which follows its cover, change through
+    // the /project/:id/media routes
+    delete updateData.media;
+    delete updateData.imageUrl;
+    
+    const project = await Project.findOne({ _id: id, isActive: true });
     
-    if (!updatedProject) {
+    if (!project) {
       return res.status(404).json({
         success: false,
         message: 'Project not found'
       });
     }
     
+    if (!isOwnerOrAdmin(req, project.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the project owner or an admin can update this project'
+      });
+    }
+    
+    if (updateData.isPublished && !(await User.exists({ _id: project.userId, isVerified: true }))) {
+      return res.status(403).json(unverifiedPublishError);
+    }
+    
+    if (updateData.createMissingSkills && !canCreateSkills(req)) {
+      return res.status(403).json(skillCreationForbidden);
+    }
+    
+    // Linked skills follow technologies and can't be set directly
+    delete updateData.skills;
+    let resolution;
+    if (updateData.technologies !== undefined) {
+      resolution = await linkSkills(req, updateData.technologies);
+      updateData.skills = resolution.skills.map(skill => skill._id);
+    }
+    
+    const updatedProject = await Project.findOneAndUpdate(
+      { _id: id, isActive: true },
+      updateData,
+      { new: true, runValidators: true }
+    )
+      .populate('userId', 'username fullName email')
+      .populate(SKILLS_POPULATE);
+    
+    await recordAudit(req, {
+      action: 'project.update',
+      resourceType: 'project',
+      resourceId: id,
+      before: project,
+      after: updatedProject
+    });
+    
     res.json({
       success: true,
       message: 'Project updated successfully',
-      data: updatedProject
+      data: updatedProject,
+      ...(resolution && {
+        createdSkills: resolution.created.map(skill => skill.name),
+        unresolvedTechnologies: resolution.unresolved
+      })
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -351,12 +609,411 @@ router.put('/:id', checkDBConnection, validateObjectId, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /project/{id}/images:
+ *   post:
+ *     summary: Upload an image to the project gallery (owner or admin)
+ *     description: Send a PNG, JPEG, GIF or WebP image (5 MB by default) as multipart/form-data in the "image" field, with its alt text. The file type is checked against its content. The image is added to the gallery as a link to its /media URL.
+ *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image, altText]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               altText:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               isCover:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 description: Gallery index to insert at (defaults to the end)
+ *     responses:
+ *       201:
+ *         description: Uploaded; returns the new gallery item, and the stored media with its URL as file
+ *       400:
+ *         description: No file, more than one file, missing alt text or an invalid position
+ *       403:
+ *         description: Not the project's owner
+ *       404:
+ *         description: Project not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: Not an accepted image type
+ */
+router.post('/:id/images', checkDBConnection, requirePermission('POST /project/:id/images'), validateObjectId, loadGallery, uploadImages('image'), async (req, res) => {
+  try {
+    const { project } = req;
+    const position = insertPosition(req.body.position, project.media.length);
+    if (position === null) {
+      return res.status(400).json(invalidPositionError(project.media.length));
+    }
+
+    // Checked before storing so a rejected item leaves no file behind
+    if (!String(req.body.altText || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Alt text is required for every gallery item']
+      });
+    }
+
+    const media = await storeUpload(req.files[0], req.user.id);
+    const url = mediaUrl(req, media);
+
+    const before = project.toObject();
+    const item = addMediaItem(project, { ...req.body, type: 'image', url, mediaId: media._id }, position);
+    await project.save();
+
+    await recordAudit(req, {
+      action: 'project.image_upload',
+      resourceType: 'project',
+      resourceId: project._id,
+      before,
+      after: project,
+      metadata: { mediaId: media._id, itemId: item._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: item,
+      file: { ...media.toObject(), url }
+    });
+  } catch (error) {
+    sendGalleryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /project/{id}/media:
+ *   post:
+ *     summary: Add a video, embed or image link to the project gallery (owner or admin)
+ *     description: Upload image files with POST /project/{id}/images instead.
+ *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, url, altText]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [image, video, embed]
+ *               url:
+ *                 type: string
+ *               altText:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               isCover:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 description: Gallery index to insert at (defaults to the end)
+ *           example:
+ *             type: "video"
+ *             url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ"
+ *             altText: "Screen recording of the checkout flow"
+ *             caption: "Checkout demo"
+ *     responses:
+ *       201:
+ *         description: Item added; returns the new gallery item
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the project's owner
+ *       404:
+ *         description: Project not found
+ */
+router.post('/:id/media', checkDBConnection, requirePermission('POST /project/:id/media'), validateObjectId, loadGallery, async (req, res) => {
+  try {
+    const { project } = req;
+    const position = insertPosition(req.body.position, project.media.length);
+    if (position === null) {
+      return res.status(400).json(invalidPositionError(project.media.length));
+    }
+
+    const before = project.toObject();
+    // Only uploads link to stored media
+    const item = addMediaItem(project, { ...req.body, mediaId: null }, position);
+    await project.save();
+
+    await recordAudit(req, {
+      action: 'project.media_add',
+      resourceType: 'project',
+      resourceId: project._id,
+      before,
+      after: project,
+      metadata: { itemId: item._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Media item added successfully',
+      data: item
+    });
+  } catch (error) {
+    sendGalleryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /project/{id}/media/order:
+ *   put:
+ *     summary: Reorder the project gallery (owner or admin)
+ *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [order]
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every gallery item ID, each once, in the new order
+ *     responses:
+ *       200:
+ *         description: Gallery reordered; returns the gallery
+ *       400:
+ *         description: order doesn't list every item exactly once
+ *       403:
+ *         description: Not the project's owner
+ *       404:
+ *         description: Project not found
+ */
+router.put('/:id/media/order', checkDBConnection, requirePermission('PUT /project/:id/media/order'), validateObjectId, loadGallery, async (req, res) => {
+  try {
+    const { project } = req;
+    const { order } = req.body;
+    const currentIds = project.media.map(item => item._id.toString());
+
+    const isPermutation = Array.isArray(order) &&
+      order.length === currentIds.length &&
+      new Set(order.map(String)).size === order.length &&
+      order.every(itemId => currentIds.includes(String(itemId)));
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['order must list every gallery item ID exactly once']
+      });
+    }
+
+    const before = project.toObject();
+    project.media = order.map(itemId => project.media.id(itemId).toObject());
+    await project.save();
+
+    await recordAudit(req, {
+      action: 'project.media_reorder',
+      resourceType: 'project',
+      resourceId: project._id,
+      before,
+      after: project
+    });
+
+    res.json({
+      success: true,
+      message: 'Gallery reordered successfully',
+      count: project.media.length,
+      data: project.media
+    });
+  } catch (error) {
+    sendGalleryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /project/{id}/media/{itemId}:
+ *   put:
+ *     summary: Update a gallery item's caption, alt text or cover flag (owner or admin)
+ *     description: Setting isCover makes the item the only cover. The first item is the cover when none is flagged.
+ *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Gallery item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *               altText:
+ *                 type: string
+ *               isCover:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Item updated; returns the gallery item
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the project's owner
+ *       404:
+ *         description: Project or gallery item not found
+ */
+router.put('/:id/media/:itemId', checkDBConnection, requirePermission('PUT /project/:id/media/:itemId'), validateObjectId, loadGallery, async (req, res) => {
+  try {
+    const { project, mediaItem } = req;
+    const { caption, altText, isCover } = req.body;
+
+    const before = project.toObject();
+    if (caption !== undefined) {
+      mediaItem.caption = caption;
+    }
+    if (altText !== undefined) {
+      mediaItem.altText = altText;
+    }
+    if (isTrue(isCover)) {
+      project.setCover(mediaItem);
+    } else if (isCover !== undefined) {
+      mediaItem.isCover = false;
+    }
+    await project.save();
+
+    await recordAudit(req, {
+      action: 'project.media_update',
+      resourceType: 'project',
+      resourceId: project._id,
+      before,
+      after: project,
+      metadata: { itemId: mediaItem._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Media item updated successfully',
+      data: mediaItem
+    });
+  } catch (error) {
+    sendGalleryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /project/{id}/media/{itemId}:
+ *   delete:
+ *     summary: Remove an item from the project gallery (owner or admin)
+ *     description: Uploaded files stay in media storage, since identical uploads share them.
+ *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Gallery item ID
+ *     responses:
+ *       200:
+ *         description: Item removed
+ *       403:
+ *         description: Not the project's owner
+ *       404:
+ *         description: Project or gallery item not found
+ */
+router.delete('/:id/media/:itemId', checkDBConnection, requirePermission('DELETE /project/:id/media/:itemId'), validateObjectId, loadGallery, async (req, res) => {
+  try {
+    const { project, mediaItem } = req;
+
+    const before = project.toObject();
+    project.media.pull(mediaItem._id);
+    await project.save();
+
+    await recordAudit(req, {
+      action: 'project.media_remove',
+      resourceType: 'project',
+      resourceId: project._id,
+      before,
+      after: project,
+      metadata: { itemId: mediaItem._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Media item removed successfully'
+    });
+  } catch (error) {
+    sendGalleryError(res, error);
+  }
+});
+
 /**
  * @swagger
  * /project/{id}:
  *   delete:
- *     summary: Delete project by ID (soft delete)
+ *     summary: Delete project by ID (soft delete, owner or admin)
  *     tags: [Projects]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -367,26 +1024,44 @@ router.put('/:id', checkDBConnection, validateObjectId, async (req, res) => {
  *     responses:
  *       200:
  *         description: Project deleted successfully
+ *       403:
+ *         description: Not the project owner
  *       404:
  *         description: Project not found
  */
-router.delete('/:id', checkDBConnection, validateObjectId, async (req, res) => {
+router.delete('/:id', checkDBConnection, requirePermission('DELETE /project/:id'), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const deletedProject = await Project.findOneAndUpdate(
-      { _id: id, isActive: true },
-      { isActive: false },
-      { new: true }
-    );
+    const project = await Project.findOne({ _id: id, isActive: true });
     
-    if (!deletedProject) {
+    if (!project) {
       return res.status(404).json({
         success: false,
         message: 'Project not found'
       });
     }
     
+    if (!isOwnerOrAdmin(req, project.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the project owner or an admin can delete this project'
+      });
+    }
+    
+    const before = project.toObject();
+    project.isActive = false;
+    await project.save();
+    
+    await recordAudit(req, {
+      action: 'project.delete',
+      resourceType: 'project',
+      resourceId: id,
+      before,
+      after: project
+    });
+    
     res.json({
       success: true,
       message: 'Project deleted successfully'
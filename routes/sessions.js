@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { requirePermission, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Middleware to validate ObjectId
+const validateObjectId = (req, res, next) => {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List your active sessions
+ *     description: Each login (password or OAuth) creates a session. The session behind the calling token is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with creation time, last use, IP and user agent
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/', checkDBConnection, requirePermission('GET /auth/sessions'), async (req, res) => {
+  try {
+    const sessions = await Session.findActive(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        authMethod: session.authMethod,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.token.sid
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (session owner or admin)
+ *     description: Immediately invalidates access and refresh tokens issued to that session.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id', checkDBConnection, requirePermission('DELETE /auth/sessions/:id'), validateObjectId, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, session.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only revoke your own sessions'
+      });
+    }
+
+    await session.revoke();
+
+    await recordAudit(req, {
+      action: 'auth.session_revoke',
+      resourceType: 'session',
+      resourceId: session._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,33 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Skill = require('../models/Skill');
+const UserSkill = require('../models/UserSkill');
+const Project = require('../models/Project');
+const { requirePermission, requireScope, authenticateIfPresent } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { findSkillByName } = require('../services/skillCatalog');
 
 const router = express.Router();
 
+// Aliases as an array of strings; a single alias may be sent as a string.
+// Returns null when the value is neither.
+const toAliasList = (aliases) => {
+  const list = typeof aliases === 'string' ? [aliases] : aliases;
+  return Array.isArray(list) && list.every(alias => typeof alias === 'string') ? list : null;
+};
+
+const invalidAliasesError = {
+  success: false,
+  error: 'Validation Error',
+  details: ['aliases must be an array of strings']
+};
+
+const duplicateNameError = (conflict) => ({
+  success: false,
+  error: 'Duplicate Entry',
+  message: `The name or an alias is already used by skill "${conflict.name}"`
+});
+
 // Middleware to check database connection
 const checkDBConnection = (req, res, next) => {
   if (mongoose.connection.readyState !== 1) {
@@ -20,7 +44,7 @@ const checkDBConnection = (req, res, next) => {
  * @swagger
  * /skill:
  *   get:
- *     summary: Get all skills
+ *     summary: Get all skills in the catalog
  *     tags: [Skills]
  *     parameters:
  *       - in: query
@@ -35,7 +59,7 @@ const checkDBConnection = (req, res, next) => {
  *           type: integer
  *           minimum: 1
  *           maximum: 5
- *         description: Filter skills by proficiency level
+ *         description: Only skills that at least one user has at this proficiency level
  *     responses:
  *       200:
  *         description: List of all skills
@@ -67,10 +91,11 @@ router.get('/', checkDBConnection, async (req, res) => {
       filter.category = category.toLowerCase();
     }
     
+    // Proficiency is per user, so match catalog skills someone holds at that level
     if (proficiencyLevel) {
       const level = parseInt(proficiencyLevel);
       if (level >= 1 && level <= 5) {
-        filter.proficiencyLevel = level;
+        filter._id = { $in: await UserSkill.distinct('skillId', { proficiencyLevel: level, isActive: true }) };
       }
     }
     
@@ -100,7 +125,8 @@ router.get('/', checkDBConnection, async (req, res) => {
  * @swagger
  * /skill/{name}:
  *   get:
- *     summary: Get skill by name
+ *     summary: Get skill by name or alias
+ *     description: Matching ignores case, punctuation and a trailing "js", so "node", "NodeJS" and "Node.js" find the same skill.
  *     tags: [Skills]
  *     parameters:
  *       - in: path
@@ -127,11 +153,7 @@ router.get('/', checkDBConnection, async (req, res) => {
  */
 router.get('/:name', checkDBConnection, async (req, res) => {
   try {
-    const { name } = req.params;
-    const skill = await Skill.findOne({ 
-      name: { $regex: new RegExp(name, 'i') },
-      isActive: true
-    });
+    const skill = await findSkillByName(req.params.name);
     
     if (!skill) {
       return res.status(404).json({
@@ -153,12 +175,64 @@ router.get('/:name', checkDBConnection, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /skill/{name}/projects:
+ *   get:
+ *     summary: Get the projects that use a skill
+ *     description: Projects are linked to skills through their technologies. Unpublished projects are only listed for their owner and admins.
+ *     tags: [Skills]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the skill
+ *     responses:
+ *       200:
+ *         description: Projects linked to the skill, newest first
+ *       404:
+ *         description: Skill not found
+ */
+router.get('/:name/projects', checkDBConnection, authenticateIfPresent, requireScope('project:read'), async (req, res) => {
+  try {
+    const skill = await findSkillByName(req.params.name);
+    
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+    
+    const projects = await Project.find({ skills: skill._id, isActive: true, ...Project.visibleTo(req.user) })
+      .populate('userId', 'username fullName')
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      skill: { _id: skill._id, name: skill.name, category: skill.category },
+      count: projects.length,
+      data: projects
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
 /**
  * @swagger
  * /skill:
  *   post:
- *     summary: Create a new skill
+ *     summary: Create a new skill (Protected Route)
  *     tags: [Skills]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -168,8 +242,8 @@ router.get('/:name', checkDBConnection, async (req, res) => {
  *           example:
  *             name: "JavaScript"
  *             category: "frontend"
- *             proficiencyLevel: 5
- *             description: "Expert level JavaScript developer with 5+ years experience"
+ *             aliases: ["JS", "ECMAScript"]
+ *             description: "High-level language for web and server development"
  *     responses:
  *       201:
  *         description: Skill created successfully
@@ -187,14 +261,14 @@ router.get('/:name', checkDBConnection, async (req, res) => {
  *                 data:
  *                   $ref: '#/components/schemas/Skill'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the name or an alias is already used by another skill
  */
-router.post('/', checkDBConnection, async (req, res) => {
+router.post('/', checkDBConnection, requirePermission('POST /skill'), async (req, res) => {
   try {
     const skillData = req.body;
     
     // Validate required fields
-    const requiredFields = ['name', 'category', 'proficiencyLevel'];
+    const requiredFields = ['name', 'category'];
     const missingFields = requiredFields.filter(field => !skillData[field]);
     
     if (missingFields.length > 0) {
@@ -205,15 +279,6 @@ router.post('/', checkDBConnection, async (req, res) => {
       });
     }
     
-    // Validate proficiency level
-    if (skillData.proficiencyLevel < 1 || skillData.proficiencyLevel > 5) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation Error',
-        details: ['Proficiency level must be between 1 and 5']
-      });
-    }
-    
     // Validate category
     const validCategories = ['frontend', 'backend', 'database', 'devops', 'mobile', 'design', 'other'];
     if (!validCategories.includes(skillData.category.toLowerCase())) {
@@ -224,9 +289,29 @@ router.post('/', checkDBConnection, async (req, res) => {
       });
     }
     
+    if (skillData.aliases !== undefined) {
+      skillData.aliases = toAliasList(skillData.aliases);
+      if (!skillData.aliases) {
+        return res.status(400).json(invalidAliasesError);
+      }
+    }
+    
+    // Names and aliases share one namespace, so "JS" can't become a second skill
+    const conflict = await Skill.findConflict([skillData.name, ...(skillData.aliases || [])]);
+    if (conflict) {
+      return res.status(400).json(duplicateNameError(conflict));
+    }
+    
     const newSkill = new Skill(skillData);
     await newSkill.save();
     
+    await recordAudit(req, {
+      action: 'skill.create',
+      resourceType: 'skill',
+      resourceId: newSkill.name,
+      after: newSkill
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Skill created successfully',
@@ -246,7 +331,7 @@ router.post('/', checkDBConnection, async (req, res) => {
       return res.status(400).json({
         success: false,
         error: 'Duplicate Entry',
-        message: 'Skill name already exists'
+        message: 'Skill name or alias already exists'
       });
     }
     
@@ -262,8 +347,10 @@ router.post('/', checkDBConnection, async (req, res) => {
  * @swagger
  * /skill/{name}:
  *   put:
- *     summary: Update skill by name
+ *     summary: Update skill by name (Protected Route)
  *     tags: [Skills]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: name
@@ -281,41 +368,34 @@ router.post('/', checkDBConnection, async (req, res) => {
  *               category:
  *                 type: string
  *                 enum: [frontend, backend, database, devops, mobile, design, other]
- *               proficiencyLevel:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 5
  *               description:
  *                 type: string
  *               iconUrl:
  *                 type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the alias list
  *           example:
- *             proficiencyLevel: 5
+ *             category: "frontend"
  *             description: "Updated skill description"
+ *             aliases: ["JS"]
  *     responses:
  *       200:
  *         description: Skill updated successfully
+ *       400:
+ *         description: Validation error, or an alias is already used by another skill
  *       404:
  *         description: Skill not found
  */
-router.put('/:name', checkDBConnection, async (req, res) => {
+router.put('/:name', checkDBConnection, requirePermission('PUT /skill/:name'), async (req, res) => {
   try {
-    const { name } = req.params;
     const updateData = req.body;
     
     // Don't allow name updates
     delete updateData.name;
-    
-    // Validate proficiency level if provided
-    if (updateData.proficiencyLevel !== undefined) {
-      if (updateData.proficiencyLevel < 1 || updateData.proficiencyLevel > 5) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation Error',
-          details: ['Proficiency level must be between 1 and 5']
-        });
-      }
-    }
+    delete updateData.lookupKeys;
     
     // Validate category if provided
     if (updateData.category) {
@@ -329,23 +409,43 @@ router.put('/:name', checkDBConnection, async (req, res) => {
       }
     }
     
-    const updatedSkill = await Skill.findOneAndUpdate(
-      { name: { $regex: new RegExp(`^${name}$`, 'i') }, isActive: true },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const skill = await findSkillByName(req.params.name);
     
-    if (!updatedSkill) {
+    if (!skill) {
       return res.status(404).json({
         success: false,
         message: 'Skill not found'
       });
     }
     
+    if (updateData.aliases !== undefined) {
+      updateData.aliases = toAliasList(updateData.aliases);
+      if (!updateData.aliases) {
+        return res.status(400).json(invalidAliasesError);
+      }
+      const conflict = await Skill.findConflict(updateData.aliases, skill._id);
+      if (conflict) {
+        return res.status(400).json(duplicateNameError(conflict));
+      }
+    }
+    
+    // Saved through the document so the lookup keys follow the aliases
+    const before = skill.toObject();
+    skill.set(updateData);
+    await skill.save();
+    
+    await recordAudit(req, {
+      action: 'skill.update',
+      resourceType: 'skill',
+      resourceId: skill.name,
+      before,
+      after: skill
+    });
+    
     res.json({
       success: true,
       message: 'Skill updated successfully',
-      data: updatedSkill
+      data: skill
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -357,6 +457,14 @@ router.put('/:name', checkDBConnection, async (req, res) => {
       });
     }
     
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: 'Skill name or alias already exists'
+      });
+    }
+    
     res.status(500).json({ 
       success: false, 
       error: 'Internal Server Error',
@@ -369,8 +477,10 @@ router.put('/:name', checkDBConnection, async (req, res) => {
  * @swagger
  * /skill/{name}:
  *   delete:
- *     summary: Delete skill by name (soft delete)
+ *     summary: Delete skill by name (soft delete, admin only)
  *     tags: [Skills]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: name
@@ -384,23 +494,31 @@ router.put('/:name', checkDBConnection, async (req, res) => {
  *       404:
  *         description: Skill not found
  */
-router.delete('/:name', checkDBConnection, async (req, res) => {
+router.delete('/:name', checkDBConnection, requirePermission('DELETE /skill/:name'), async (req, res) => {
   try {
-    const { name } = req.params;
-    
-    const deletedSkill = await Skill.findOneAndUpdate(
-      { name: { $regex: new RegExp(`^${name}$`, 'i') }, isActive: true },
-      { isActive: false },
-      { new: true }
-    );
+    const skill = await findSkillByName(req.params.name);
     
-    if (!deletedSkill) {
+    if (!skill) {
       return res.status(404).json({
         success: false,
         message: 'Skill not found'
       });
     }
     
+    const deletedSkill = await Skill.findOneAndUpdate(
+      { _id: skill._id },
+      { isActive: false },
+      { new: true }
+    );
+    
+    await recordAudit(req, {
+      action: 'skill.delete',
+      resourceType: 'skill',
+      resourceId: skill.name,
+      before: skill,
+      after: deletedSkill
+    });
+    
     res.json({
       success: true,
       message: 'Skill deleted successfully'
@@ -1,7 +1,14 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Theme = require('../models/Theme');
-const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const Portfolio = require('../models/Portfolio');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { themeNameQuery, getDefaultTheme } = require('../services/themes');
+const { contrastReport, contrastFailures } = require('../utils/accessibility');
+const { toCss, toTailwindConfig, toStyleDictionary } = require('../utils/themeExport');
+const { INHERITABLE_PATHS, toFieldOverrides } = require('../utils/themeTokens');
 
 const router = express.Router();
 
@@ -17,6 +24,73 @@ const checkDBConnection = (req, res, next) => {
   next();
 };
 
+// Load the active theme named in the URL (case-insensitive), or respond 404
+const loadTheme = async (req, res, next) => {
+  try {
+    const theme = await Theme.findOne({ themeName: themeNameQuery(req.params.themeName), isActive: true });
+
+    if (!theme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Theme not found'
+      });
+    }
+
+    req.theme = theme;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Exports may be cached briefly and revalidated with If-None-Match or
+// If-Modified-Since; Express answers 304 when the validators match
+const EXPORT_CACHE_CONTROL = 'public, max-age=300';
+
+const sendExport = (res, theme, format, contentType, body) => {
+  res.set({
+    'Cache-Control': EXPORT_CACHE_CONTROL,
+    'ETag': `"${theme._id}-${new Date(theme.updatedAt).getTime()}-${format}"`,
+    'Last-Modified': new Date(theme.updatedAt).toUTCString()
+  });
+  res.type(contentType).send(body);
+};
+
+// ?strict=true (or AA) and ?strict=AAA make create/update reject themes
+// below that WCAG level. Returns null when off and undefined when invalid.
+const parseStrictLevel = (value) => {
+  if (value === undefined || value === 'false') {
+    return null;
+  }
+  const level = value === 'true' ? 'AA' : String(value).toUpperCase();
+  return ['AA', 'AAA'].includes(level) ? level : undefined;
+};
+
+const duplicateNameError = {
+  success: false,
+  error: 'Duplicate Entry',
+  message: 'themeName already exists'
+};
+
+// Names differing only in case count as the same theme, and deleted themes
+// keep their name
+const themeNameTaken = (themeName) => (
+  typeof themeName === 'string' && Theme.exists({ themeName: themeNameQuery(themeName) })
+);
+
+const invalidStrictError = {
+  success: false,
+  error: 'Validation Error',
+  details: ['strict must be true, false, AA or AAA']
+};
+
+// Validate the theme (deriving missing tokens) and list the color pairs
+// below the strict level
+const checkContrast = async (theme, level) => {
+  await theme.validate();
+  return contrastFailures(contrastReport(theme), level);
+};
+
 /**
  * @swagger
  * /theme:
@@ -48,9 +122,9 @@ router.get('/:themeName', checkDBConnection, async (req, res) => {
   try {
     const { themeName } = req.params;
     const theme = await Theme.findOne({ 
-      themeName: { $regex: new RegExp(themeName, 'i') },
+      themeName: themeNameQuery(themeName),
       isActive: true
-    });
+    }).populate('parentId', 'themeName isActive');
     
     if (!theme) {
       return res.status(404).json({
@@ -68,21 +142,270 @@ router.get('/:themeName', checkDBConnection, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /theme/{themeName}/usage:
+ *   get:
+ *     summary: Report how many users and portfolios use a theme
+ *     description: Deleted themes are included so users still pointing at them can be found. defaultUsers counts users rendered with the theme because it is the default (no selection, or their selected theme was deleted).
+ *     tags: [Themes]
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usage counts
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 themeName: "Ocean Blue"
+ *                 isActive: true
+ *                 isDefault: false
+ *                 users: 12
+ *                 defaultUsers: 0
+ *                 portfolios: 4
+ *       404:
+ *         description: Theme not found
+ */
+router.get('/:themeName/usage', checkDBConnection, async (req, res) => {
+  try {
+    const theme = await Theme.findOne({ themeName: themeNameQuery(req.params.themeName) });
+
+    if (!theme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Theme not found'
+      });
+    }
+
+    const { theme: defaultTheme, source } = await getDefaultTheme();
+    const isDefault = source === 'default' && defaultTheme._id.equals(theme._id);
+
+    const [users, portfolios] = await Promise.all([
+      User.countDocuments({ themeId: theme._id, isActive: true }),
+      Portfolio.countDocuments({ themeId: theme._id, isActive: true })
+    ]);
+
+    let defaultUsers = 0;
+    if (isDefault) {
+      const deletedThemeIds = await Theme.distinct('_id', { isActive: false });
+      defaultUsers = await User.countDocuments({
+        isActive: true,
+        $or: [{ themeId: null }, { themeId: { $in: deletedThemeIds } }]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        themeName: theme.themeName,
+        isActive: theme.isActive,
+        isDefault,
+        users,
+        defaultUsers,
+        portfolios
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /theme/{themeName}/accessibility:
+ *   get:
+ *     summary: WCAG 2.1 contrast report for a theme
+ *     description: Checks primaryColor on secondaryColor and, in both light and dark modes, text and accent on background and surface. Each pair reports AA/AAA results for normal and large text, with suggested foreground colors for the levels it fails.
+ *     tags: [Themes]
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contrast report
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 themeName: "Ocean Blue"
+ *                 passesAA: false
+ *                 passesAAA: false
+ *                 pairs:
+ *                   - pair: "primaryColor on secondaryColor"
+ *                     foreground: "#336699"
+ *                     background: "#FFCC00"
+ *                     ratio: 3.96
+ *                     AA: { normal: false, large: true }
+ *                     AAA: { normal: false, large: false }
+ *                     suggestedForeground: { AA: "#2f5d8c", AAA: "#204061" }
+ *       404:
+ *         description: Theme not found
+ */
+router.get('/:themeName/accessibility', checkDBConnection, loadTheme, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        themeName: req.theme.themeName,
+        ...contrastReport(req.theme)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /theme/{themeName}/css:
+ *   get:
+ *     summary: Export a theme as CSS custom properties
+ *     description: 'Light colors apply on :root; dark colors apply under prefers-color-scheme dark and [data-theme="dark"]. Responses carry ETag, Last-Modified and Cache-Control headers and return 304 when the client''s copy is current.'
+ *     tags: [Themes]
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stylesheet
+ *         content:
+ *           text/css:
+ *             example: ":root,\n[data-theme=\"light\"] {\n  --theme-color-primary: #336699;\n  --theme-color-background: #ffffff;\n  --theme-font-body: Roboto, sans-serif;\n  --theme-space-1: 4px;\n}"
+ *       304:
+ *         description: Not modified
+ *       404:
+ *         description: Theme not found
+ */
+router.get('/:themeName/css', checkDBConnection, loadTheme, (req, res) => {
+  sendExport(res, req.theme, 'css', 'text/css; charset=utf-8', toCss(req.theme));
+});
+
+/**
+ * @swagger
+ * /theme/{themeName}/tailwind:
+ *   get:
+ *     summary: Export a theme as a Tailwind config fragment
+ *     description: 'A { theme: { extend } } object to merge into tailwind.config.js. Light colors are top-level (bg-background) and dark colors sit under colors.dark (dark:bg-dark-background). Cached like the CSS export.'
+ *     tags: [Themes]
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tailwind config JSON
+ *       304:
+ *         description: Not modified
+ *       404:
+ *         description: Theme not found
+ */
+router.get('/:themeName/tailwind', checkDBConnection, loadTheme, (req, res) => {
+  sendExport(res, req.theme, 'tailwind', 'application/json; charset=utf-8', JSON.stringify(toTailwindConfig(req.theme), null, 2));
+});
+
+/**
+ * @swagger
+ * /theme/{themeName}/tokens:
+ *   get:
+ *     summary: Export a theme as Style Dictionary tokens
+ *     description: 'Source tokens for Style Dictionary, grouped as color, font, spacing and radius, each leaf a { value, type } pair. Cached like the CSS export.'
+ *     tags: [Themes]
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Style Dictionary token JSON
+ *       304:
+ *         description: Not modified
+ *       404:
+ *         description: Theme not found
+ */
+router.get('/:themeName/tokens', checkDBConnection, loadTheme, (req, res) => {
+  sendExport(res, req.theme, 'tokens', 'application/json; charset=utf-8', JSON.stringify(toStyleDictionary(req.theme), null, 2));
+});
+
 /**
  * @swagger
  * /theme:
  *   post:
  *     summary: Create a new theme (Protected Route)
+ *     description: With ?strict=true (WCAG AA) or ?strict=AAA, themes with a color pair below that contrast level are rejected.
  *     tags: [Themes]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: strict
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', 'AA', 'AAA']
+ *         description: Reject inaccessible color combinations
+ *     responses:
+ *       201:
+ *         description: Theme created successfully
+ *       400:
+ *         description: Validation error, including failing contrast pairs in strict mode
+ *       409:
+ *         description: A theme with this name (ignoring case) already exists
  */
-router.post('/', checkDBConnection, authenticate, async (req, res) => {
+router.post('/', checkDBConnection, requirePermission('POST /theme'), async (req, res) => {
   try {
+    const strictLevel = parseStrictLevel(req.query.strict);
+    if (strictLevel === undefined) {
+      return res.status(400).json(invalidStrictError);
+    }
+
     const themeData = req.body;
+
+    // Forks are created with POST /theme/:themeName/fork
+    delete themeData.parentId;
+    delete themeData.overrides;
+
+    if (await themeNameTaken(themeData.themeName)) {
+      return res.status(409).json(duplicateNameError);
+    }
+
     const newTheme = new Theme(themeData);
+
+    if (strictLevel) {
+      const failures = await checkContrast(newTheme, strictLevel);
+      if (failures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          details: failures
+        });
+      }
+    }
+
     await newTheme.save();
     
+    await recordAudit(req, {
+      action: 'theme.create',
+      resourceType: 'theme',
+      resourceId: newTheme.themeName,
+      after: newTheme
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Theme created successfully',
@@ -97,6 +420,131 @@ router.post('/', checkDBConnection, authenticate, async (req, res) => {
         details: errors
       });
     }
+    if (error.code === 11000) {
+      return res.status(409).json(duplicateNameError);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /theme/{themeName}/fork:
+ *   post:
+ *     summary: Fork a theme into a new theme that inherits from it (Protected Route)
+ *     description: 'The fork stores only the fields sent here as overrides and inherits every other field. When the parent is updated, the fork picks up changes to fields it does not override. Supports ?strict like POST /theme.'
+ *     tags: [Themes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the theme to fork
+ *       - in: query
+ *         name: strict
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', 'AA', 'AAA']
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [themeName]
+ *             properties:
+ *               themeName:
+ *                 type: string
+ *           example:
+ *             themeName: "Ocean Blue Warm"
+ *             primaryColor: "#993366"
+ *             modes:
+ *               dark:
+ *                 accent: "#ee99bb"
+ *     responses:
+ *       201:
+ *         description: Fork created; data is the merged theme and overrides lists the overridden fields
+ *       400:
+ *         description: Missing name, unknown fields or validation error
+ *       409:
+ *         description: A theme with this name (ignoring case) already exists
+ *       404:
+ *         description: Theme not found
+ */
+router.post('/:themeName/fork', checkDBConnection, requirePermission('POST /theme/:themeName/fork'), loadTheme, async (req, res) => {
+  try {
+    const strictLevel = parseStrictLevel(req.query.strict);
+    if (strictLevel === undefined) {
+      return res.status(400).json(invalidStrictError);
+    }
+
+    const { themeName, ...fields } = req.body;
+
+    if (!themeName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['themeName is required']
+      });
+    }
+
+    const { overrides, unknown } = toFieldOverrides(fields);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: [`Unknown theme fields: ${unknown.join(', ')}`]
+      });
+    }
+
+    if (await themeNameTaken(themeName)) {
+      return res.status(409).json(duplicateNameError);
+    }
+
+    const fork = new Theme({ themeName, parentId: req.theme._id });
+    fork.setOverrides(overrides);
+
+    if (strictLevel) {
+      const failures = await checkContrast(fork, strictLevel);
+      if (failures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          details: failures
+        });
+      }
+    }
+
+    await fork.save();
+
+    await recordAudit(req, {
+      action: 'theme.fork',
+      resourceType: 'theme',
+      resourceId: fork.themeName,
+      after: fork,
+      metadata: { parent: req.theme.themeName }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Theme forked successfully',
+      data: fork
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json(duplicateNameError);
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -105,35 +553,130 @@ router.post('/', checkDBConnection, authenticate, async (req, res) => {
  * @swagger
  * /theme/{themeName}:
  *   put:
- *     summary: Update theme by name
+ *     summary: Update theme by name (Protected Route)
+ *     description: Forks that inherit the change are updated too. Nothing is saved unless the theme and every affected fork pass validation, and with ?strict=true (WCAG AA) or ?strict=AAA, the contrast check as well.
  *     tags: [Themes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: themeName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: strict
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', 'AA', 'AAA']
+ *         description: Reject inaccessible color combinations
  */
-router.put('/:themeName', checkDBConnection, authenticate, async (req, res) => {
+router.put('/:themeName', checkDBConnection, requirePermission('PUT /theme/:themeName'), async (req, res) => {
   try {
     const { themeName } = req.params;
     const updateData = req.body;
     
     delete updateData.themeName;
+    delete updateData.parentId;
+    delete updateData.overrides;
+
+    const strictLevel = parseStrictLevel(req.query.strict);
+    if (strictLevel === undefined) {
+      return res.status(400).json(invalidStrictError);
+    }
     
-    const updatedTheme = await Theme.findOneAndUpdate(
-      { themeName, isActive: true },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const theme = await Theme.findOne({ themeName: themeNameQuery(themeName), isActive: true });
     
-    if (!updatedTheme) {
+    if (!theme) {
       return res.status(404).json({
         success: false,
         message: 'Theme not found'
       });
     }
     
+    const before = theme.toObject();
+
+    if (theme.parentId) {
+      // Fields sent to a fork become overrides; `inherit` lists fields to
+      // take from the parent again
+      const { inherit = [], ...fields } = updateData;
+      const { overrides, unknown } = toFieldOverrides(fields);
+      const notInheritable = [].concat(inherit).filter(path => !INHERITABLE_PATHS.includes(path));
+
+      if (unknown.length > 0 || notInheritable.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          details: [`Unknown theme fields: ${[...unknown, ...notInheritable].join(', ')}`]
+        });
+      }
+
+      theme.setOverrides(overrides, [].concat(inherit));
+    } else {
+      // Saved through the document so partial token updates are merged into
+      // the existing tokens and missing ones are derived again
+      theme.set(updateData, undefined, { merge: true });
+    }
+
+    // Check the theme and every fork that inherits the change before
+    // writing any of them
+    await theme.validate();
+    const details = strictLevel ? contrastFailures(contrastReport(theme), strictLevel) : [];
+
+    const forks = await Theme.loadForks(theme);
+    for (const fork of forks) {
+      const forkLabel = `Fork "${fork.themeName}"`;
+      try {
+        await fork.validate();
+      } catch (validationError) {
+        if (validationError.name !== 'ValidationError') {
+          throw validationError;
+        }
+        details.push(...Object.values(validationError.errors).map(err => `${forkLabel}: ${err.message}`));
+        continue;
+      }
+      if (strictLevel) {
+        details.push(...contrastFailures(contrastReport(fork), strictLevel).map(failure => `${forkLabel}: ${failure}`));
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details
+      });
+    }
+
+    await theme.save();
+    for (const fork of forks) {
+      await fork.save();
+    }
+    
+    await recordAudit(req, {
+      action: 'theme.update',
+      resourceType: 'theme',
+      resourceId: theme.themeName,
+      before,
+      after: theme,
+      metadata: forks.length > 0 ? { forksUpdated: forks.length } : undefined
+    });
+    
     res.json({
       success: true,
       message: 'Theme updated successfully',
-      data: updatedTheme
+      forksUpdated: forks.length,
+      data: theme
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: errors
+      });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -142,26 +685,38 @@ router.put('/:themeName', checkDBConnection, authenticate, async (req, res) => {
  * @swagger
  * /theme/{themeName}:
  *   delete:
- *     summary: Delete theme by name (soft delete)
+ *     summary: Delete theme by name (soft delete, admin only)
  *     tags: [Themes]
+ *     security:
+ *       - BearerAuth: []
  */
-router.delete('/:themeName', checkDBConnection, async (req, res) => {
+router.delete('/:themeName', checkDBConnection, requirePermission('DELETE /theme/:themeName'), async (req, res) => {
   try {
     const { themeName } = req.params;
     
-    const deletedTheme = await Theme.findOneAndUpdate(
-      { themeName, isActive: true },
-      { isActive: false },
-      { new: true }
-    );
+    const theme = await Theme.findOne({ themeName: themeNameQuery(themeName), isActive: true });
     
-    if (!deletedTheme) {
+    if (!theme) {
       return res.status(404).json({
         success: false,
         message: 'Theme not found'
       });
     }
     
+    const deletedTheme = await Theme.findOneAndUpdate(
+      { _id: theme._id },
+      { isActive: false },
+      { new: true }
+    );
+    
+    await recordAudit(req, {
+      action: 'theme.delete',
+      resourceType: 'theme',
+      resourceId: theme.themeName,
+      before: theme,
+      after: deletedTheme
+    });
+    
     res.json({
       success: true,
       message: 'Theme deleted successfully'
@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const totp = require('../utils/totp');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = 'Portfolio Builder';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+// Load the caller with their two-factor fields
+const loadUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.user.id, isActive: true }).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.account = user;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor authentication setup
+ *     description: Returns a new TOTP secret and otpauth URI to add to an authenticator app. 2FA is not enabled until a code is confirmed with POST /auth/2fa/verify.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/setup', checkDBConnection, requirePermission('POST /auth/2fa/setup'), loadUser, async (req, res) => {
+  try {
+    const user = req.account;
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        message: 'Disable it with POST /auth/2fa/disable before setting it up again'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Add this secret to your authenticator app, then confirm a code with POST /auth/2fa/verify',
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.username, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Confirm a code from the authenticator app and enable two-factor authentication
+ *     description: Returns ten single-use recovery codes. They are stored hashed and shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, recovery codes returned
+ *       400:
+ *         description: No setup in progress or invalid code
+ */
+router.post('/verify', checkDBConnection, requirePermission('POST /auth/2fa/verify'), loadUser, async (req, res) => {
+  try {
+    const user = req.account;
+
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'No two-factor setup in progress',
+        message: 'Start with POST /auth/2fa/setup'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa_enable',
+      resourceType: 'user',
+      resourceId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once instead of a code.',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires a current code from the authenticator app or an unused recovery code.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled or invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/disable', checkDBConnection, requirePermission('POST /auth/2fa/disable'), loadUser, async (req, res) => {
+  try {
+    const user = req.account;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Wrong codes count as failed logins so a stolen session can't brute-force them
+    const attemptKeys = LoginAttempt.keysFor(user.username, req.ip);
+    const retryAfter = await LoginAttempt.getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts',
+        message: `Please wait ${retryAfter} seconds before trying again`,
+        retryAfter
+      });
+    }
+
+    if (!user.verifySecondFactor(req.body.code)) {
+      await LoginAttempt.recordFailure(attemptKeys);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa_disable',
+      resourceType: 'user',
+      resourceId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
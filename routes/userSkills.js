@@ -0,0 +1,411 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const UserSkill = require('../models/UserSkill');
+const { requirePermission, isOwnerOrAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { findSkillByName } = require('../services/skillCatalog');
+
+// Mounted at /user/:username/skills
+const router = express.Router({ mergeParams: true });
+
+// Catalog fields shown alongside each user skill
+const SKILL_FIELDS = 'name category description iconUrl';
+
+// Fields a user may set on their own skill entries
+const EDITABLE_FIELDS = ['proficiencyLevel', 'yearsOfExperience', 'lastUsedAt', 'isHighlighted'];
+
+// Middleware to check database connection
+const checkDBConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection unavailable',
+      message: 'Please try again in a few moments'
+    });
+  }
+  next();
+};
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Load the active user named in the URL, or respond 404
+const loadOwner = async (req, res, next) => {
+  try {
+    const owner = await User.findOne({ username: req.params.username, isActive: true });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.owner = owner;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Only the user themselves or an admin may change their skills
+const requireOwner = (req, res, next) => {
+  if (!isOwnerOrAdmin(req, req.owner._id)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only manage your own skills'
+    });
+  }
+  next();
+};
+
+// Load the user's entry for the catalog skill named in the URL, or respond 404
+const loadUserSkill = async (req, res, next) => {
+  try {
+    const skill = await findSkillByName(req.params.skillName);
+    const userSkill = skill
+      ? await UserSkill.findOne({ userId: req.owner._id, skillId: skill._id, isActive: true })
+      : null;
+
+    if (!userSkill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found for this user'
+      });
+    }
+
+    req.skill = skill;
+    req.userSkill = userSkill;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+const validationErrorResponse = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    details: errors
+  });
+};
+
+/**
+ * @swagger
+ * /user/{username}/skills:
+ *   get:
+ *     summary: Get a user's skills with their proficiency
+ *     description: Highlighted skills come first, then by proficiency and years of experience.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [frontend, backend, database, devops, mobile, design, other]
+ *       - in: query
+ *         name: highlighted
+ *         schema:
+ *           type: boolean
+ *         description: Only highlighted skills
+ *     responses:
+ *       200:
+ *         description: The user's skills, each with the catalog skill populated
+ *       404:
+ *         description: User not found
+ */
+router.get('/', checkDBConnection, loadOwner, async (req, res) => {
+  try {
+    const { category, highlighted } = req.query;
+    const filter = { userId: req.owner._id, isActive: true };
+
+    if (highlighted === 'true') {
+      filter.isHighlighted = true;
+    }
+
+    const userSkills = await UserSkill.find(filter)
+      .populate({
+        path: 'skillId',
+        select: SKILL_FIELDS,
+        match: { isActive: true, ...(category && { category: category.toLowerCase() }) }
+      })
+      .sort({ isHighlighted: -1, proficiencyLevel: -1, yearsOfExperience: -1 });
+
+    // Entries whose catalog skill was deleted or filtered out populate to null
+    const data = userSkills.filter(userSkill => userSkill.skillId);
+
+    const response = {
+      success: true,
+      count: data.length,
+      data
+    };
+
+    if (category || highlighted) {
+      response.filter = { category, highlighted };
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/skills:
+ *   post:
+ *     summary: Add a catalog skill to a user's profile (the user or an admin)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserSkill'
+ *           example:
+ *             skillName: "JavaScript"
+ *             proficiencyLevel: 4
+ *             yearsOfExperience: 5
+ *             lastUsedAt: "2024-05-01"
+ *             isHighlighted: true
+ *     responses:
+ *       201:
+ *         description: Skill added
+ *       400:
+ *         description: Validation error, unknown skill, or the user already has this skill
+ *       403:
+ *         description: Not your profile
+ *       404:
+ *         description: User not found
+ */
+router.post('/', checkDBConnection, requirePermission('POST /user/:username/skills'), loadOwner, requireOwner, async (req, res) => {
+  try {
+    const { skillId, skillName } = req.body;
+
+    if (!skillId && !skillName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['skillName or skillId is required']
+      });
+    }
+
+    const skill = skillName
+      ? await findSkillByName(skillName)
+      : mongoose.Types.ObjectId.isValid(skillId) && await Skill.findOne({ _id: skillId, isActive: true });
+
+    if (!skill) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Skill not found in the catalog. Create it first with POST /skill']
+      });
+    }
+
+    const userSkill = new UserSkill({
+      ...pickEditable(req.body),
+      userId: req.owner._id,
+      skillId: skill._id
+    });
+    await userSkill.save();
+
+    await recordAudit(req, {
+      action: 'user_skill.create',
+      resourceType: 'user_skill',
+      resourceId: userSkill._id,
+      after: userSkill,
+      metadata: { username: req.owner.username, skill: skill.name }
+    });
+
+    await userSkill.populate('skillId', SKILL_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill added successfully',
+      data: userSkill
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: 'This user already has this skill. Update it with PUT instead.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/skills/{skillName}:
+ *   put:
+ *     summary: Update a user's proficiency in a skill (the user or an admin)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: skillName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserSkill'
+ *           example:
+ *             proficiencyLevel: 5
+ *             lastUsedAt: "2024-06-01"
+ *     responses:
+ *       200:
+ *         description: Skill updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not your profile
+ *       404:
+ *         description: User or skill not found
+ */
+router.put('/:skillName', checkDBConnection, requirePermission('PUT /user/:username/skills/:skillName'), loadOwner, requireOwner, loadUserSkill, async (req, res) => {
+  try {
+    const { userSkill } = req;
+    const before = userSkill.toObject();
+
+    userSkill.set(pickEditable(req.body));
+    await userSkill.save();
+
+    await recordAudit(req, {
+      action: 'user_skill.update',
+      resourceType: 'user_skill',
+      resourceId: userSkill._id,
+      before,
+      after: userSkill,
+      metadata: { username: req.owner.username, skill: req.skill.name }
+    });
+
+    await userSkill.populate('skillId', SKILL_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Skill updated successfully',
+      data: userSkill
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/skills/{skillName}:
+ *   delete:
+ *     summary: Remove a skill from a user's profile (the user or an admin)
+ *     description: The skill stays in the shared catalog.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: skillName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Skill removed
+ *       403:
+ *         description: Not your profile
+ *       404:
+ *         description: User or skill not found
+ */
+router.delete('/:skillName', checkDBConnection, requirePermission('DELETE /user/:username/skills/:skillName'), loadOwner, requireOwner, loadUserSkill, async (req, res) => {
+  try {
+    const { userSkill } = req;
+    const before = userSkill.toObject();
+
+    userSkill.isActive = false;
+    await userSkill.save();
+
+    await recordAudit(req, {
+      action: 'user_skill.delete',
+      resourceType: 'user_skill',
+      resourceId: userSkill._id,
+      before,
+      after: userSkill,
+      metadata: { username: req.owner.username, skill: req.skill.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Skill removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,24 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Theme = require('../models/Theme');
+const { ROLES } = require('../config/permissions');
+const { sendVerificationEmail } = require('../services/accountEmails');
+const { recordAudit } = require('../services/audit');
+const { themeNameQuery, resolveEffectiveTheme } = require('../services/themes');
+const { storeUpload, mediaUrl } = require('../services/media');
+const { requirePermission, requireScope, authenticateIfMine, isOwnerOrAdmin } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Fields PUT /user/:username may change. Credentials, role, verification,
+// two-factor settings, linked OAuth accounts and the theme have their own
+// routes; anything else in the body is ignored.
+const PROFILE_FIELDS = ['fullName', 'bio', 'email', 'profilePicture'];
+
 // Middleware to check database connection
 const checkDBConnection = (req, res, next) => {
   if (mongoose.connection.readyState !== 1) {
@@ -22,6 +37,12 @@ const checkDBConnection = (req, res, next) => {
  *   get:
  *     summary: Get all users
  *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only return the authenticated user's own profile (requires a token)
  *     responses:
  *       200:
  *         description: List of all users
@@ -47,9 +68,15 @@ const checkDBConnection = (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', checkDBConnection, async (req, res) => {
+router.get('/', checkDBConnection, authenticateIfMine, requireScope('user:read'), async (req, res) => {
   try {
-    const users = await User.find({ isActive: true }).sort({ createdAt: -1 });
+    const filter = { isActive: true };
+    
+    if (req.query.mine === 'true') {
+      filter._id = req.user.id;
+    }
+    
+    const users = await User.find(filter).sort({ createdAt: -1 });
     res.json({
       success: true,
       count: users.length,
@@ -129,8 +156,10 @@ router.get('/:username', checkDBConnection, async (req, res) => {
  * @swagger
  * /user:
  *   post:
- *     summary: Create a new user
+ *     summary: Create a new user (admin only)
  *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -144,7 +173,7 @@ router.get('/:username', checkDBConnection, async (req, res) => {
  *             bio: "Full-stack developer"
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully and verification email sent
  *         content:
  *           application/json:
  *             schema:
@@ -165,10 +194,16 @@ router.get('/:username', checkDBConnection, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', checkDBConnection, async (req, res) => {
+router.post('/', checkDBConnection, requirePermission('POST /user'), async (req, res) => {
   try {
     const userData = req.body;
     
+    // Credentials are only set through /auth/register
+    delete userData.passwordHash;
+    delete userData.role;
+    delete userData.isVerified;
+    delete userData.themeId;
+    
     // Validate required fields
     const requiredFields = ['username', 'email', 'fullName'];
     const missingFields = requiredFields.filter(field => !userData[field]);
@@ -184,6 +219,20 @@ router.post('/', checkDBConnection, async (req, res) => {
     const newUser = new User(userData);
     await newUser.save();
     
+    await recordAudit(req, {
+      action: 'user.create',
+      resourceType: 'user',
+      resourceId: newUser._id,
+      after: newUser
+    });
+    
+    // A mail failure shouldn't fail the request; the link can be re-sent
+    try {
+      await sendVerificationEmail(newUser, req);
+    } catch (mailError) {
+      console.error('❌ Verification email error:', mailError.message);
+    }
+    
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -220,8 +269,10 @@ router.post('/', checkDBConnection, async (req, res) => {
  * @swagger
  * /user/{username}:
  *   put:
- *     summary: Update user by username
+ *     summary: Update user by username (the user themselves or an admin)
  *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: username
@@ -265,6 +316,8 @@ router.post('/', checkDBConnection, async (req, res) => {
  *                   example: "User updated successfully"
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Not allowed to edit this profile
  *       404:
  *         description: User not found
  *         content:
@@ -272,25 +325,64 @@ router.post('/', checkDBConnection, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:username', checkDBConnection, async (req, res) => {
+router.put('/:username', checkDBConnection, requirePermission('PUT /user/:username'), async (req, res) => {
   try {
     const { username } = req.params;
-    const updateData = req.body;
+    const updateData = Object.fromEntries(PROFILE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    
+    const user = await User.findOne({ username, isActive: true });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (!isOwnerOrAdmin(req, user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only edit your own profile'
+      });
+    }
     
-    // Don't allow username updates
-    delete updateData.username;
+    if (updateData.email !== undefined && typeof updateData.email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['email must be a string']
+      });
+    }
+    
+    // A new email address has to be verified again
+    const emailChanged = updateData.email && updateData.email.toLowerCase() !== user.email;
+    if (emailChanged) {
+      updateData.isVerified = false;
+    }
     
     const updatedUser = await User.findOneAndUpdate(
-      { username, isActive: true },
+      { _id: user._id, isActive: true },
       updateData,
       { new: true, runValidators: true }
     );
     
-    if (!updatedUser) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    await recordAudit(req, {
+      action: 'user.update',
+      resourceType: 'user',
+      resourceId: user._id,
+      before: user,
+      after: updatedUser
+    });
+    
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser, req);
+      } catch (mailError) {
+        console.error('❌ Verification email error:', mailError.message);
+      }
     }
     
     res.json({
@@ -316,12 +408,482 @@ router.put('/:username', checkDBConnection, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /user/{username}/role:
+ *   put:
+ *     summary: Change a user's role (admin only)
+ *     description: The user's sessions are revoked when the role changes, so the new role takes effect when they sign in again.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, owner, viewer]
+ *           example:
+ *             role: "editor"
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: User not found
+ */
+router.put('/:username/role', checkDBConnection, requirePermission('PUT /user/:username/role'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: [`Role must be one of: ${ROLES.join(', ')}`]
+      });
+    }
+
+    const user = await User.findOne({ username, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, isActive: true },
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    // Access tokens carry the role, so end the user's sessions rather than
+    // let the old role work until those tokens expire
+    const revokedCount = role !== user.role ? await Session.revokeAllForUser(user._id) : 0;
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      resourceType: 'user',
+      resourceId: user._id,
+      before: user,
+      after: updatedUser,
+      metadata: { revokedSessions: revokedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: updatedUser,
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/theme:
+ *   get:
+ *     summary: Get the theme a user's portfolio is rendered with
+ *     description: Returns the user's selected theme, or the default theme (DEFAULT_THEME, else a built-in theme) when none is selected or the selected theme was deleted.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The effective theme, with source (selected, default or built-in) and selectedThemeDeleted
+ *       404:
+ *         description: User not found
+ */
+router.get('/:username/theme', checkDBConnection, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { theme, source, selectedThemeDeleted } = await resolveEffectiveTheme(user.themeId);
+
+    res.json({
+      success: true,
+      source,
+      selectedThemeDeleted,
+      data: theme
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/theme:
+ *   put:
+ *     summary: Select a user's theme (the user or an admin)
+ *     description: Send themeName or themeId. Send null to clear the selection and use the default theme.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               themeName:
+ *                 type: string
+ *                 nullable: true
+ *               themeId:
+ *                 type: string
+ *                 nullable: true
+ *           example:
+ *             themeName: "Ocean Blue"
+ *     responses:
+ *       200:
+ *         description: Theme selected; returns the effective theme
+ *       400:
+ *         description: Missing or unknown theme
+ *       403:
+ *         description: Not your profile
+ *       404:
+ *         description: User not found
+ */
+router.put('/:username/theme', checkDBConnection, requirePermission('PUT /user/:username/theme'), async (req, res) => {
+  try {
+    const { themeName, themeId } = req.body;
+
+    if (themeName === undefined && themeId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['themeName or themeId is required (null clears the selection)']
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only change your own theme'
+      });
+    }
+
+    let theme = null;
+    if (themeName) {
+      theme = await Theme.findOne({ themeName: themeNameQuery(themeName), isActive: true });
+    } else if (themeId) {
+      theme = mongoose.Types.ObjectId.isValid(themeId)
+        ? await Theme.findOne({ _id: themeId, isActive: true })
+        : null;
+    }
+
+    if ((themeName || themeId) && !theme) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details: ['Theme not found']
+      });
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, isActive: true },
+      { themeId: theme ? theme._id : null },
+      { new: true }
+    );
+
+    await recordAudit(req, {
+      action: 'user.theme_change',
+      resourceType: 'user',
+      resourceId: user._id,
+      before: user,
+      after: updatedUser
+    });
+
+    const effective = await resolveEffectiveTheme(updatedUser.themeId);
+
+    res.json({
+      success: true,
+      message: theme ? 'Theme selected successfully' : 'Theme selection cleared',
+      source: effective.source,
+      selectedThemeDeleted: effective.selectedThemeDeleted,
+      data: effective.theme
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/avatar:
+ *   post:
+ *     summary: Upload a profile picture (the user or an admin)
+ *     description: Send a PNG, JPEG, GIF or WebP image (5 MB by default) as multipart/form-data in the "avatar" field. The file type is checked against its content. profilePicture is set to the /media URL of the upload.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Uploaded; returns the stored media and its URL
+ *       400:
+ *         description: No file, or more than one file
+ *       403:
+ *         description: Not your profile
+ *       404:
+ *         description: User not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: Not an accepted image type
+ */
+router.post('/:username/avatar', checkDBConnection, requirePermission('POST /user/:username/avatar'), uploadImages('avatar'), async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req, user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only change your own profile picture'
+      });
+    }
+
+    const media = await storeUpload(req.files[0], req.user.id);
+    const url = mediaUrl(req, media);
+
+    const before = user.toObject();
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, isActive: true },
+      { profilePicture: url },
+      { new: true }
+    );
+
+    await recordAudit(req, {
+      action: 'user.avatar_upload',
+      resourceType: 'user',
+      resourceId: user._id,
+      before,
+      after: updatedUser,
+      metadata: { mediaId: media._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Profile picture uploaded successfully',
+      data: { ...media.toObject(), url }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/logout-all:
+ *   post:
+ *     summary: Force-logout a user from every session (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username of the user to log out
+ *     responses:
+ *       200:
+ *         description: All of the user's sessions were revoked
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: User not found
+ */
+router.post('/:username/logout-all', checkDBConnection, requirePermission('POST /user/:username/logout-all'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const user = await User.findOne({ username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedCount = await Session.revokeAllForUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.logout_all',
+      resourceType: 'user',
+      resourceId: user._id,
+      metadata: { revokedSessions: revokedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Logged ${username} out of all sessions`,
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /user/{username}/lockout:
+ *   delete:
+ *     summary: Clear a login lockout (admin only)
+ *     description: Resets failed-login tracking for the username, and for an IP address when one is given.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username whose lockout should be cleared
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *         description: Also clear the lockout for this IP address
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       403:
+ *         description: Insufficient role
+ */
+router.delete('/:username/lockout', checkDBConnection, requirePermission('DELETE /user/:username/lockout'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const keys = req.query.ip
+      ? LoginAttempt.keysFor(username, req.query.ip)
+      : [`username:${username.toLowerCase()}`];
+
+    const result = await LoginAttempt.clear(keys);
+
+    await recordAudit(req, {
+      action: 'user.lockout_clear',
+      resourceType: 'user',
+      resourceId: username,
+      metadata: { cleared: keys }
+    });
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully',
+      cleared: keys,
+      deletedCount: result.deletedCount
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal Server Error',
+      message: error.message 
+    });
+  }
+});
+
 /**
  * @swagger
  * /user/{username}:
  *   delete:
- *     summary: Delete user by username (soft delete)
+ *     summary: Delete user by username (soft delete, admin only)
  *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: username
@@ -350,23 +912,36 @@ router.put('/:username', checkDBConnection, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:username', checkDBConnection, async (req, res) => {
+router.delete('/:username', checkDBConnection, requirePermission('DELETE /user/:username'), async (req, res) => {
   try {
     const { username } = req.params;
     
-    const deletedUser = await User.findOneAndUpdate(
-      { username, isActive: true },
-      { isActive: false },
-      { new: true }
-    );
+    const user = await User.findOne({ username, isActive: true });
     
-    if (!deletedUser) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    const deletedUser = await User.findOneAndUpdate(
+      { _id: user._id },
+      { isActive: false },
+      { new: true }
+    );
+    
+    await recordAudit(req, {
+      action: 'user.delete',
+      resourceType: 'user',
+      resourceId: user._id,
+      before: user,
+      after: deletedUser
+    });
+    
+    // Deleted users are signed out everywhere
+    await Session.revokeAllForUser(deletedUser._id);
+    
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -7,21 +7,40 @@ const swaggerUi = require('swagger-ui-express');
 // Import configurations
 const connectDB = require('./config/database');
 const swaggerSpec = require('./config/swagger');
+const { ROLES, listProtectedRoutes, listProtectedMethods } = require('./config/permissions');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const apiKeyRoutes = require('./routes/apiKeys');
+const sessionRoutes = require('./routes/sessions');
+const twoFactorRoutes = require('./routes/twoFactor');
+const adminRoutes = require('./routes/admin');
 const themeRoutes = require('./routes/themes');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
 const skillRoutes = require('./routes/skills');
+const userSkillRoutes = require('./routes/userSkills');
+const experienceRoutes = require('./routes/experience');
+const educationRoutes = require('./routes/education');
+const certificationRoutes = require('./routes/certifications');
+const portfolioRoutes = require('./routes/portfolios');
+const mediaRoutes = require('./routes/media');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer (e.g. Render), trust its X-Forwarded-For so req.ip is
+// the client address used for login throttling and session records
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
+app.use(requestId);
 app.use(cors({
   origin: ['http://localhost:3000', 'https://cse341-code-student.onrender.com'],
   credentials: true
@@ -52,7 +71,7 @@ app.get('/', (req, res) => {
     status: 'Production Ready',
     documentation: '/api-docs',
     features: [
-      'Complete CRUD Operations (4 Collections)',
+      'Complete CRUD Operations (8 Collections)',
       'OAuth Authentication System', 
       'Comprehensive Data Validation',
       'Professional Error Handling',
@@ -66,36 +85,95 @@ app.get('/', (req, res) => {
         endpoint: '/theme',
         description: 'Portfolio visual themes management',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        protected: ['POST', 'PUT']
+        protected: listProtectedMethods('/theme'),
+        features: [
+          'Usage counts at /theme/:themeName/usage',
+          'WCAG contrast report at /theme/:themeName/accessibility',
+          'Strict contrast mode with ?strict=true or ?strict=AAA',
+          'CSS, Tailwind and Style Dictionary exports at /theme/:themeName/css, /tailwind and /tokens',
+          'Theme forks that inherit parent changes at /theme/:themeName/fork'
+        ]
       },
       users: {
         endpoint: '/user', 
         description: 'User profiles and authentication',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        protected: []
+        protected: listProtectedMethods('/user'),
+        features: [
+          'Per-user skill proficiency at /user/:username/skills',
+          'Theme selection with default fallback at /user/:username/theme',
+          'Profile picture uploads at POST /user/:username/avatar'
+        ]
       },
       projects: {
         endpoint: '/project',
         description: 'Portfolio projects with technologies',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        protected: ['POST']
+        protected: listProtectedMethods('/project'),
+        features: [
+          'Technologies linked to the skill catalog',
+          'Filter by skill with ?skill=',
+          'Ordered media gallery with captions, alt text and a cover at /project/:id/media',
+          'Image uploads to the gallery at POST /project/:id/images'
+        ]
       },
       skills: {
         endpoint: '/skill',
-        description: 'Technical skills with proficiency levels',
+        description: 'Shared catalog of technical skills',
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        protected: listProtectedMethods('/skill'),
+        features: ['Category filtering', 'Filter by user proficiency levels 1-5']
+      },
+      experience: {
+        endpoint: '/experience',
+        description: 'Work experience entries',
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        protected: listProtectedMethods('/experience'),
+        features: ['Reverse-chronological timeline', 'Linked catalog skills']
+      },
+      education: {
+        endpoint: '/education',
+        description: 'Degrees and other education',
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        protected: listProtectedMethods('/education'),
+        features: ['Reverse-chronological timeline']
+      },
+      certifications: {
+        endpoint: '/certification',
+        description: 'Professional certifications with issue and expiry dates',
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        protected: listProtectedMethods('/certification'),
+        features: ['Expiry status on every credential', 'Find lapsing credentials with ?expiringWithin=30d']
+      },
+      portfolios: {
+        endpoint: '/portfolio',
+        description: 'Portfolios tying a user, theme, projects and skills together',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        protected: [],
-        features: ['Category filtering', 'Proficiency levels 1-5']
+        protected: listProtectedMethods('/portfolio'),
+        features: ['GET /portfolio/:username returns the fully resolved portfolio']
       }
     },
     authentication: {
+      register: 'POST /auth/register',
       login: 'POST /auth/login',
+      refresh: 'POST /auth/refresh',
       logout: 'POST /auth/logout',
-      credentials: {
-        username: 'admin',
-        password: 'password123'
-      },
-      protectedRoutes: ['POST /theme', 'POST /project', 'PUT /theme']
+      oauth: 'GET /auth/oauth/:provider/start',
+      logoutAll: 'POST /auth/logout-all',
+      forgotPassword: 'POST /auth/forgot-password',
+      resetPassword: 'POST /auth/reset-password',
+      verifyEmail: 'GET /auth/verify-email?token=...',
+      twoFactor: 'POST /auth/2fa/setup, then POST /auth/login/2fa to complete logins',
+      sessions: '/auth/sessions',
+      apiKeys: '/auth/api-keys (send keys in the X-API-Key header)',
+      roles: ROLES,
+      protectedRoutes: listProtectedRoutes()
+    },
+    media: {
+      serve: 'GET /media/:id (uploaded images, cached by ETag)'
+    },
+    admin: {
+      audit: 'GET /admin/audit (admin only)'
     },
     deployment: {
       production: 'https://cse341-code-student.onrender.com',
@@ -105,6 +183,18 @@ app.get('/', (req, res) => {
   });
 });
 
+// Number of method and path pairs mounted on the app, counting the routes
+// inside routers
+const countRoutes = (stack) => stack.reduce((total, layer) => {
+  if (layer.route) {
+    return total + Object.keys(layer.route.methods).length;
+  }
+  if (layer.name === 'router' && layer.handle.stack) {
+    return total + countRoutes(layer.handle.stack);
+  }
+  return total;
+}, 0);
+
 // Health check endpoint with detailed system information
 app.get('/health', async (req, res) => {
   try {
@@ -121,12 +211,20 @@ app.get('/health', async (req, res) => {
       const User = require('./models/User');
       const Project = require('./models/Project');
       const Skill = require('./models/Skill');
+      const Experience = require('./models/Experience');
+      const Education = require('./models/Education');
+      const Certification = require('./models/Certification');
+      const Portfolio = require('./models/Portfolio');
 
       collectionStats = {
         themes: await Theme.countDocuments({ isActive: true }),
         users: await User.countDocuments({ isActive: true }),
         projects: await Project.countDocuments({ isActive: true }),
         skills: await Skill.countDocuments({ isActive: true }),
+        experience: await Experience.countDocuments({ isActive: true }),
+        education: await Education.countDocuments({ isActive: true }),
+        certifications: await Certification.countDocuments({ isActive: true }),
+        portfolios: await Portfolio.countDocuments({ isActive: true }),
         total: 0
       };
       
@@ -135,6 +233,9 @@ app.get('/health', async (req, res) => {
       collectionStats = { error: 'Unable to fetch collection statistics' };
     }
 
+    const totalRoutes = countRoutes(app._router.stack);
+    const protectedRoutes = listProtectedRoutes().length;
+    
     res.json({
       status: 'OK',
       timestamp: new Date().toISOString(),
@@ -155,9 +256,9 @@ app.get('/health', async (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       endpoints: {
-        total: 20,
-        protected: 3,
-        public: 17
+        total: totalRoutes,
+        protected: protectedRoutes,
+        public: totalRoutes - protectedRoutes
       }
     });
   } catch (error) {
@@ -176,6 +277,11 @@ app.get('/test/collections', async (req, res) => {
     const User = require('./models/User');
     const Project = require('./models/Project');
     const Skill = require('./models/Skill');
+    const UserSkill = require('./models/UserSkill');
+    const Experience = require('./models/Experience');
+    const Education = require('./models/Education');
+    const Certification = require('./models/Certification');
+    const Portfolio = require('./models/Portfolio');
 
     // Get detailed statistics for each collection
     const collections = {
@@ -216,26 +322,58 @@ app.get('/test/collections', async (req, res) => {
           design: await Skill.countDocuments({ category: 'design', isActive: true }),
           other: await Skill.countDocuments({ category: 'other', isActive: true })
         },
+        // Proficiency is per user, so these count user skill entries
         byProficiency: {
-          beginner: await Skill.countDocuments({ proficiencyLevel: { $in: [1, 2] }, isActive: true }),
-          intermediate: await Skill.countDocuments({ proficiencyLevel: 3, isActive: true }),
-          advanced: await Skill.countDocuments({ proficiencyLevel: { $in: [4, 5] }, isActive: true })
+          beginner: await UserSkill.countDocuments({ proficiencyLevel: { $in: [1, 2] }, isActive: true }),
+          intermediate: await UserSkill.countDocuments({ proficiencyLevel: 3, isActive: true }),
+          advanced: await UserSkill.countDocuments({ proficiencyLevel: { $in: [4, 5] }, isActive: true })
         },
-        sample: await Skill.findOne({}, 'name category proficiencyLevel').lean()
+        sample: await Skill.findOne({}, 'name category').lean()
+      },
+      experience: {
+        total: await Experience.countDocuments(),
+        active: await Experience.countDocuments({ isActive: true }),
+        inactive: await Experience.countDocuments({ isActive: false }),
+        current: await Experience.countDocuments({ endDate: null, isActive: true }),
+        sample: await Experience.findOne({}, 'company role startDate endDate').lean()
+      },
+      education: {
+        total: await Education.countDocuments(),
+        active: await Education.countDocuments({ isActive: true }),
+        inactive: await Education.countDocuments({ isActive: false }),
+        sample: await Education.findOne({}, 'institution degree fieldOfStudy').lean()
+      },
+      certifications: {
+        total: await Certification.countDocuments(),
+        active: await Certification.countDocuments({ isActive: true }),
+        inactive: await Certification.countDocuments({ isActive: false }),
+        expired: await Certification.countDocuments({ expiryDate: { $lte: new Date() }, isActive: true }),
+        sample: await Certification.findOne({}, 'name issuer issueDate expiryDate').lean()
+      },
+      portfolios: {
+        total: await Portfolio.countDocuments(),
+        active: await Portfolio.countDocuments({ isActive: true }),
+        inactive: await Portfolio.countDocuments({ isActive: false }),
+        published: await Portfolio.countDocuments({ isPublished: true, isActive: true }),
+        sample: await Portfolio.findOne({}, 'title tagline isPublished').lean()
       }
     };
 
     const totalDocuments = collections.themes.total + collections.users.total + 
-                          collections.projects.total + collections.skills.total;
+                          collections.projects.total + collections.skills.total +
+                          collections.experience.total + collections.education.total +
+                          collections.certifications.total + collections.portfolios.total;
 
     const activeDocuments = collections.themes.active + collections.users.active + 
-                           collections.projects.active + collections.skills.active;
+                           collections.projects.active + collections.skills.active +
+                           collections.experience.active + collections.education.active +
+                           collections.certifications.active + collections.portfolios.active;
 
     res.json({
       success: true,
       message: 'Portfolio Builder API - Complete Collections Overview',
       summary: {
-        totalCollections: 4,
+        totalCollections: 8,
         totalDocuments,
         activeDocuments,
         inactiveDocuments: totalDocuments - activeDocuments
@@ -262,11 +400,21 @@ app.get('/test/collections', async (req, res) => {
 });
 
 // API Routes
+app.use('/auth/api-keys', apiKeyRoutes);
+app.use('/auth/sessions', sessionRoutes);
+app.use('/auth/2fa', twoFactorRoutes);
 app.use('/auth', authRoutes);
 app.use('/theme', themeRoutes);
+app.use('/user/:username/skills', userSkillRoutes);
 app.use('/user', userRoutes);
 app.use('/project', projectRoutes);
 app.use('/skill', skillRoutes);
+app.use('/experience', experienceRoutes);
+app.use('/education', educationRoutes);
+app.use('/certification', certificationRoutes);
+app.use('/portfolio', portfolioRoutes);
+app.use('/media', mediaRoutes);
+app.use('/admin', adminRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -284,15 +432,23 @@ app.use('*', (req, res) => {
         description: 'Interactive API documentation'
       },
       authentication: {
+        register: 'POST /auth/register',
         login: 'POST /auth/login',
-        logout: 'POST /auth/logout'
+        refresh: 'POST /auth/refresh',
+        logout: 'POST /auth/logout',
+        oauth: 'GET /auth/oauth/:provider/start'
       },
       collections: {
         themes: '/theme',
         users: '/user', 
         projects: '/project',
-        skills: '/skill'
+        skills: '/skill',
+        experience: '/experience',
+        education: '/education',
+        certifications: '/certification',
+        portfolios: '/portfolio'
       },
+      media: 'GET /media/:id',
       utilities: {
         health: '/health',
         collections: '/test/collections',
@@ -303,6 +459,17 @@ app.use('*', (req, res) => {
   });
 });
 
+// Every instance must sign tokens with the same secret, and links must not
+// be built from the client's Host header; refuse to start rather than fail
+// each request
+if (process.env.NODE_ENV === 'production') {
+  const missing = ['JWT_SECRET', 'API_BASE_URL'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    console.error(`❌ ${missing.join(' and ')} must be set in production`);
+    process.exit(1);
+  }
+}
+
 // Start server with comprehensive logging
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('\n🚀 ===============================================');
@@ -311,16 +478,11 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🌍 Server running on port ${PORT}`);
   console.log(`🏠 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📚 Documentation: http://localhost:${PORT}/api-docs`);
-  console.log(`🔐 Authentication: POST /auth/login`);
-  console.log(`📊 Collections: 4 (themes, users, projects, skills)`);
+  console.log(`🔐 Authentication: POST /auth/register, POST /auth/login`);
+  console.log(`📊 Collections: 8 (themes, users, projects, skills, experience, education, certifications, portfolios)`);
   console.log(`🛠️  Features: CRUD, OAuth, Validation, Testing`);
   console.log('===============================================\n');
   
-  // Log authentication credentials for easy access
-  console.log('🔑 LOGIN CREDENTIALS:');
-  console.log('   Username: admin');
-  console.log('   Password: password123\n');
-  
   console.log('📋 QUICK TEST ENDPOINTS:');
   console.log(`   Health Check: http://localhost:${PORT}/health`);
   console.log(`   Collections: http://localhost:${PORT}/test/collections`);
@@ -0,0 +1,67 @@
+const ActionToken = require('../models/ActionToken');
+const { sendMail } = require('./mailer');
+const { getPublicBaseUrl } = require('../utils/publicUrl');
+
+// Link lifetimes in seconds
+const PASSWORD_RESET_TTL = 60 * 60;
+const EMAIL_VERIFICATION_TTL = 60 * 60 * 24 * 2;
+
+// Password reset page of the frontend, when one is configured. The API has
+// no page of its own; without it the email carries only the token.
+const getResetPageUrl = () => {
+  const frontend = process.env.FRONTEND_BASE_URL;
+  return frontend ? `${frontend.replace(/\/+$/, '')}/reset-password` : null;
+};
+
+// Email a single-use link that verifies the user's address
+const sendVerificationEmail = async (user, req) => {
+  const token = await ActionToken.issue(user._id, 'email-verification', EMAIL_VERIFICATION_TTL);
+  const link = `${getPublicBaseUrl(req)}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Portfolio Builder email address',
+    text: [
+      `Hi ${user.fullName},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      'The link expires in 48 hours. Until your address is verified you can build your portfolio, but not publish it.'
+    ].join('\n')
+  });
+};
+
+// Email a single-use password reset link
+const sendPasswordResetEmail = async (user, req) => {
+  const token = await ActionToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL);
+  const resetPage = getResetPageUrl();
+  const instructions = resetPage
+    ? [
+      'Someone asked to reset the password for your account. If that was you, open the link below:',
+      `${resetPage}?token=${encodeURIComponent(token)}`,
+      '',
+      `Or send the token to POST ${getPublicBaseUrl(req)}/auth/reset-password: ${token}`
+    ]
+    : [
+      'Someone asked to reset the password for your account. If that was you, send this token',
+      `with your new password to POST ${getPublicBaseUrl(req)}/auth/reset-password: ${token}`
+    ];
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Portfolio Builder password',
+    text: [
+      `Hi ${user.fullName},`,
+      '',
+      ...instructions,
+      '',
+      'The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
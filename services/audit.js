@@ -0,0 +1,87 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Never copy secrets into the audit log, even as part of a diff
+const REDACTED_FIELDS = [
+  'passwordHash',
+  'keyHash',
+  'tokenHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep'
+];
+// Bookkeeping fields that change on every write, and fields derived from others
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'lookupKeys'];
+
+const toPlain = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields that differ between two versions of a document, as { field: { from, to } }
+const diff = (before, after) => {
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) {
+      continue;
+    }
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: from[field], to: to[field] };
+  }
+
+  return changes;
+};
+
+/*
+ * Record an audit event for the current request.
+ *
+ *   action       - "<resource>.<verb>", e.g. "theme.delete"
+ *   resourceType - e.g. "theme"
+ *   resourceId   - the resource's natural key or ObjectId
+ *   before/after - document versions to diff (omit either for creates/deletes)
+ *   actor        - overrides the authenticated principal (e.g. for logins)
+ *   metadata     - extra context
+ *
+ * Failures are logged rather than thrown so a broken audit write never turns a
+ * completed change into an error response.
+ */
+const recordAudit = async (req, { action, resourceType, resourceId, before, after, actor, metadata }) => {
+  const principal = actor || req.user || {};
+
+  try {
+    await AuditEvent.create({
+      actor: {
+        userId: principal.id || principal._id || null,
+        username: principal.username,
+        role: principal.role,
+        authType: principal.authType,
+        apiKeyId: principal.apiKeyId
+      },
+      action,
+      resourceType,
+      resourceId: resourceId === undefined || resourceId === null ? null : String(resourceId),
+      changes: before || after ? diff(before, after) : undefined,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || '',
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error('❌ Audit log error:', error.message);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diff
+};
@@ -0,0 +1,15 @@
+// Print messages to stdout (default outside of tests)
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message) {
+    console.log('📧 ===============================================');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('===============================================');
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,15 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Write each message as a JSON file, e.g. for inspecting mail in development
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${message.sentAt.toISOString().replace(/[:.]/g, '-')}-${message.id}.json`;
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createMemoryTransport = require('./memory');
+const createSmtpTransport = require('./smtp');
+
+/*
+ * Mailer with pluggable transports, selected by MAIL_TRANSPORT:
+ *   smtp    - deliver via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   file    - write JSON files to MAIL_FILE_DIR
+ *   console - print to stdout (default)
+ *   memory  - keep in getOutbox() (default under NODE_ENV=test)
+ *
+ * Every transport implements send(message) for a message of the shape
+ * { id, from, to, subject, text, html, sentAt }.
+ */
+
+let transport;
+
+const createTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'console');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({
+        directory: process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail')
+      });
+    case 'memory':
+      return createMemoryTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    id: crypto.randomUUID(),
+    from: process.env.MAIL_FROM || 'Portfolio Builder <no-reply@portfoliobuilder.com>',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date()
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+// Messages captured by the memory transport (empty for other transports)
+const getOutbox = () => getTransport().outbox || [];
+
+module.exports = {
+  sendMail,
+  getOutbox
+};
@@ -0,0 +1,15 @@
+// Keep messages in memory so tests can assert on them (default under NODE_ENV=test)
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+
+    async send(message) {
+      outbox.push(message);
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
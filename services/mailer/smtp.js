@@ -0,0 +1,27 @@
+// Deliver through an SMTP server using nodemailer
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  // Loaded lazily so other transports don't pay for it
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
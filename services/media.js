@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const { getStorage } = require('./storage');
+const { getPublicBaseUrl } = require('../utils/publicUrl');
+
+/**
+ * Store an uploaded file (from middleware/upload) by content hash and
+ * return its Media record, reusing the record when the same bytes were
+ * uploaded before.
+ */
+const storeUpload = async (file, uploadedBy) => {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const storage = getStorage();
+
+  if (!(await storage.exists(hash))) {
+    await storage.put(hash, file.buffer, { contentType: file.detectedType });
+  }
+
+  try {
+    return await Media.findOneAndUpdate(
+      { hash },
+      { $setOnInsert: { hash, contentType: file.detectedType, size: file.buffer.length, uploadedBy } },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } catch (error) {
+    // A concurrent upload of the same bytes created the record first
+    if (error.code === 11000) {
+      return Media.findOne({ hash });
+    }
+    throw error;
+  }
+};
+
+// Absolute URL a stored file is served from
+const mediaUrl = (req, media) => `${getPublicBaseUrl(req)}/media/${media._id}`;
+
+module.exports = {
+  storeUpload,
+  mediaUrl
+};
@@ -0,0 +1,107 @@
+// GitHub OAuth 2.0 provider (https://docs.github.com/en/apps/oauth-apps)
+
+const https = require('https');
+
+const AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
+const TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const API_URL = 'https://api.github.com';
+
+// Send a request and parse the JSON response; uses the https module since
+// the global fetch needs Node 18
+const requestJson = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const request = https.request(url, { method, headers }, (response) => {
+    let data = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      data += chunk;
+    });
+    response.on('end', () => {
+      try {
+        resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode,
+          body: data ? JSON.parse(data) : {}
+        });
+      } catch (error) {
+        reject(new Error(`Invalid JSON from ${url}`));
+      }
+    });
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+const createGithubProvider = ({ clientId, clientSecret }) => {
+  const apiGet = async (path, accessToken) => {
+    const response = await requestJson(`${API_URL}${path}`, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${accessToken}`,
+        'User-Agent': 'portfolio-builder-api'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API request to ${path} failed with status ${response.status}`);
+    }
+    return response.body;
+  };
+
+  return {
+    name: 'github',
+
+    getAuthorizeUrl({ state, redirectUri }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: 'read:user user:email',
+        state
+      });
+      return `${AUTHORIZE_URL}?${params}`;
+    },
+
+    async exchangeCode({ code, redirectUri }) {
+      const response = await requestJson(TOKEN_URL, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          'User-Agent': 'portfolio-builder-api'
+        },
+        body: JSON.stringify({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code,
+          redirect_uri: redirectUri
+        })
+      });
+
+      const { body } = response;
+      if (!response.ok || !body.access_token) {
+        throw new Error(body.error_description || 'GitHub code exchange failed');
+      }
+      return body.access_token;
+    },
+
+    async fetchProfile(accessToken) {
+      const [user, emails] = await Promise.all([
+        apiGet('/user', accessToken),
+        apiGet('/user/emails', accessToken)
+      ]);
+
+      const primary = emails.find(email => email.primary) || emails.find(email => email.verified);
+
+      return {
+        providerId: String(user.id),
+        username: user.login,
+        fullName: user.name || user.login,
+        email: primary ? primary.email : null,
+        emailVerified: Boolean(primary && primary.verified),
+        avatarUrl: user.avatar_url
+      };
+    }
+  };
+};
+
+module.exports = createGithubProvider;
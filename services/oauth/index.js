@@ -0,0 +1,40 @@
+const createGithubProvider = require('./github');
+const createMockProvider = require('./mock');
+
+/*
+ * OAuth 2.0 provider registry.
+ *
+ * Every provider implements:
+ *   name                                         - identifier used in /auth/oauth/:provider
+ *   getAuthorizeUrl({ state, redirectUri, loginHint }) -> URL to send the user to
+ *   exchangeCode({ code, redirectUri })          -> provider access token
+ *   fetchProfile(accessToken)                    -> { providerId, username, fullName,
+ *                                                    email, emailVerified, avatarUrl }
+ */
+
+// Build the set of providers enabled by the current environment
+const loadProviders = () => {
+  const providers = {};
+
+  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
+    providers.github = createGithubProvider({
+      clientId: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET
+    });
+  }
+
+  if (process.env.NODE_ENV === 'test' || process.env.OAUTH_MOCK_ENABLED === 'true') {
+    providers.mock = createMockProvider();
+  }
+
+  return providers;
+};
+
+const getProvider = (name) => loadProviders()[name] || null;
+
+const listProviders = () => Object.keys(loadProviders());
+
+module.exports = {
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,50 @@
+// Local mock provider for development and tests. It skips the external
+// consent screen: the authorize URL points straight back at the callback with
+// a code that encodes the profile to sign in as.
+
+const DEFAULT_EMAIL = 'mock.user@example.com';
+
+const encodeProfile = (profile) => Buffer.from(JSON.stringify(profile)).toString('base64url');
+
+const decodeProfile = (code) => JSON.parse(Buffer.from(code, 'base64url').toString('utf8'));
+
+const createMockProvider = () => ({
+  name: 'mock',
+
+  // loginHint selects the email address the mock user signs in with
+  getAuthorizeUrl({ state, redirectUri, loginHint }) {
+    const email = loginHint || DEFAULT_EMAIL;
+    const code = encodeProfile({
+      email,
+      emailVerified: true,
+      username: email.split('@')[0],
+      fullName: 'Mock User'
+    });
+
+    const params = new URLSearchParams({ code, state });
+    return `${redirectUri}?${params}`;
+  },
+
+  async exchangeCode({ code }) {
+    try {
+      decodeProfile(code);
+    } catch (error) {
+      throw new Error('Invalid mock authorization code');
+    }
+    return code;
+  },
+
+  async fetchProfile(accessToken) {
+    const profile = decodeProfile(accessToken);
+    return {
+      providerId: profile.email,
+      username: profile.username,
+      fullName: profile.fullName,
+      email: profile.email,
+      emailVerified: profile.emailVerified !== false,
+      avatarUrl: null
+    };
+  }
+});
+
+module.exports = createMockProvider;
@@ -0,0 +1,62 @@
+const Skill = require('../models/Skill');
+
+// Category given to skills created from a project's technologies
+const DEFAULT_CATEGORY = 'other';
+
+// Look up an active catalog skill by its name or one of its aliases
+const findSkillByName = (name) => Skill.findByLookupKey(name, { isActive: true });
+
+// Create a catalog skill for a technology term; returns null if the term
+// can't be a skill name (e.g. too short) or was created concurrently
+const createSkill = async (name) => {
+  try {
+    return await Skill.create({ name, category: DEFAULT_CATEGORY });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Resolve free-text technology names to catalog skills by name or alias.
+ *
+ * Returns the matched skills (deduplicated, in input order), the skills
+ * created along the way when `createMissing` is set, and the terms that
+ * could not be resolved. Deleted skills are never linked or recreated.
+ */
+const resolveTechnologies = async (technologies, { createMissing = false } = {}) => {
+  const terms = (Array.isArray(technologies) ? technologies : [technologies])
+    .map(term => String(term).trim())
+    .filter(Boolean);
+  const skills = [];
+  const created = [];
+  const unresolved = [];
+
+  for (const term of terms) {
+    let skill = await Skill.findByLookupKey(term);
+
+    if (!skill && createMissing) {
+      skill = await createSkill(term);
+      if (skill) {
+        created.push(skill);
+      } else {
+        skill = await Skill.findByLookupKey(term);
+      }
+    }
+
+    if (!skill || !skill.isActive) {
+      unresolved.push(term);
+    } else if (!skills.some(existing => existing._id.equals(skill._id))) {
+      skills.push(skill);
+    }
+  }
+
+  return { skills, created, unresolved };
+};
+
+module.exports = {
+  findSkillByName,
+  resolveTechnologies
+};
@@ -0,0 +1,44 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+const createMemoryStorage = require('./memory');
+
+/*
+ * Media storage with pluggable backends, selected by STORAGE_DRIVER:
+ *   local  - files under MEDIA_DIR (default)
+ *   memory - kept in memory (default under NODE_ENV=test)
+ *
+ * Files are content-addressed: the key is the SHA-256 of the bytes, so a
+ * key's content never changes. Every backend implements
+ *   put(key, buffer, { contentType })  store the bytes
+ *   get(key)                           the bytes as a Buffer, or null
+ *   exists(key)                        whether the key is stored
+ *   delete(key)                        remove the bytes, if present
+ * An S3-compatible backend implements the same four calls against a bucket
+ * and is registered in createStorage below.
+ */
+
+let storage;
+
+const createStorage = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'local');
+
+  switch (name) {
+    case 'local':
+      return createLocalStorage({
+        directory: process.env.MEDIA_DIR || path.join(process.cwd(), 'media')
+      });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+};
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files under `directory`, fanned out by the first characters of the key
+// (ab/cd/abcd...) so no single directory grows too large
+const createLocalStorage = ({ directory }) => {
+  const filePath = (key) => path.join(directory, key.slice(0, 2), key.slice(2, 4), key);
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+
+      // Write then rename so readers never see a partial file
+      const temporary = `${target}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(temporary, buffer);
+      await fs.rename(temporary, target);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fs.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(filePath(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
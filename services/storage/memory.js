@@ -0,0 +1,27 @@
+// Keep files in memory so tests don't touch the disk (default under NODE_ENV=test)
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    files,
+
+    async put(key, buffer) {
+      files.set(key, Buffer.from(buffer));
+    },
+
+    async get(key) {
+      return files.get(key) || null;
+    },
+
+    async exists(key) {
+      return files.has(key);
+    },
+
+    async delete(key) {
+      files.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStorage;
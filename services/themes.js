@@ -0,0 +1,43 @@
+const Theme = require('../models/Theme');
+const { BUILT_IN_THEME, getDefaultThemeName } = require('../config/themes');
+
+// Case-insensitive exact match on a theme name
+const themeNameQuery = (themeName) => ({
+  $regex: new RegExp(`^${String(themeName).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+});
+
+// The configured default theme, falling back to the built-in one
+const getDefaultTheme = async () => {
+  const defaultName = getDefaultThemeName();
+  const theme = defaultName
+    ? await Theme.findOne({ themeName: themeNameQuery(defaultName), isActive: true })
+    : null;
+
+  return theme
+    ? { theme, source: 'default' }
+    : { theme: BUILT_IN_THEME, source: 'built-in' };
+};
+
+/**
+ * Resolve the theme to render for a selection (a theme ID or null).
+ *
+ * Returns { theme, source, selectedThemeDeleted } where source is
+ * "selected", "default" or "built-in". selectedThemeDeleted is true when
+ * a theme was selected but has since been deleted.
+ */
+const resolveEffectiveTheme = async (themeId) => {
+  if (themeId) {
+    const selected = await Theme.findOne({ _id: themeId, isActive: true });
+    if (selected) {
+      return { theme: selected, source: 'selected', selectedThemeDeleted: false };
+    }
+  }
+
+  return { ...(await getDefaultTheme()), selectedThemeDeleted: Boolean(themeId) };
+};
+
+module.exports = {
+  themeNameQuery,
+  getDefaultTheme,
+  resolveEffectiveTheme
+};
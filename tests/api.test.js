@@ -1,17 +1,29 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
+const ensureAdminUser = require('../config/admin');
+const LoginAttempt = require('../models/LoginAttempt');
+const { getOutbox } = require('../services/mailer');
+const totp = require('../utils/totp');
+const AuditEvent = require('../models/AuditEvent');
 
 // Test database connection string
 const TEST_DB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio_builder_test';
 
 describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', () => {
   let authToken;
+  let adminToken;
   let testUserId;
   let testProjectId;
   let testThemeName;
   let testSkillName;
 
+  // Account registered once and reused for every authenticated request
+  const testCredentials = {
+    username: 'auth' + Date.now(),
+    password: 'test-password-' + Date.now()
+  };
+
   // Setup before all tests
   beforeAll(async () => {
     // Connect to test database
@@ -19,15 +31,28 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       await mongoose.connect(TEST_DB_URI);
     }
     
+    // Failed-login tracking persists in the database; start each run clean
+    await LoginAttempt.deleteMany({});
+    
+    // Bootstrap the test account as an admin
+    process.env.ADMIN_USERNAME = testCredentials.username;
+    process.env.ADMIN_EMAIL = `${testCredentials.username}@example.com`;
+    process.env.ADMIN_PASSWORD = testCredentials.password;
+    await ensureAdminUser();
+    
     // Get authentication token for protected routes
     const authResponse = await request(app)
       .post('/auth/login')
-      .send({
-        username: 'admin',
-        password: 'password123'
-      });
+      .send(testCredentials);
     
     authToken = authResponse.body.token;
+
+    // Separate token for tests that run after authToken is logged out
+    const adminResponse = await request(app)
+      .post('/auth/login')
+      .send(testCredentials);
+    
+    adminToken = adminResponse.body.token;
   });
 
   // Cleanup after all tests
@@ -60,7 +85,10 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       expect(response.body.version).toBe('2.0.0');
       expect(response.body.database).toBeDefined();
       expect(response.body.features).toBeDefined();
-      expect(response.body.endpoints).toBeDefined();
+      expect(response.body.endpoints.protected).toBeGreaterThan(0);
+      expect(response.body.endpoints.public).toBeGreaterThan(0);
+      expect(response.body.endpoints.total).toBe(response.body.endpoints.protected + response.body.endpoints.public);
+      expect(response.body.endpoints.protected).toBe(Object.keys(require('../config/permissions').PERMISSIONS).length);
     });
 
     test('API should handle CORS properly', async () => {
@@ -78,10 +106,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
     test('POST /auth/login - should authenticate with valid credentials', async () => {
       const response = await request(app)
         .post('/auth/login')
-        .send({
-          username: 'admin',
-          password: 'password123'
-        });
+        .send(testCredentials);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -103,6 +128,76 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       expect(response.body.error).toBe('Invalid credentials');
     });
 
+    test('POST /auth/login - should reject a password that is not a string', async () => {
+      const numeric = await request(app)
+        .post('/auth/login')
+        .send({ username: testCredentials.username, password: 12345678 });
+      expect(numeric.status).toBe(400);
+      expect(numeric.body.error).toBe('Validation Error');
+
+      const object = await request(app)
+        .post('/auth/login')
+        .send({ username: testCredentials.username, password: { $ne: '' } });
+      expect(object.status).toBe(400);
+    });
+
+    test('POST /auth/login - should reject a wrong password without hinting credentials', async () => {
+      const response = await request(app)
+        .post('/auth/login')
+        .send({
+          username: testCredentials.username,
+          password: 'not-the-password'
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid credentials');
+      expect(response.body.hint).toBeUndefined();
+    });
+
+    test('POST /auth/register - should reject duplicate usernames', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...testCredentials,
+          email: `other${Date.now()}@example.com`,
+          fullName: 'Duplicate User'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Duplicate Entry');
+    });
+
+    test('POST /auth/register - should enforce minimum password length', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          username: 'short' + Date.now(),
+          email: `short${Date.now()}@example.com`,
+          fullName: 'Short Password',
+          password: 'short'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('POST /auth/register - should never return the password hash', async () => {
+      const username = 'hash' + Date.now();
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          username,
+          email: `${username}@example.com`,
+          fullName: 'Hash Check',
+          password: 'long-enough-password'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.data.passwordHash).toBeUndefined();
+    });
+
     test('POST /auth/logout - should logout with valid token', async () => {
       const response = await request(app)
         .post('/auth/logout')
@@ -113,6 +208,92 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       expect(response.body.message).toBe('Logout successful');
     });
 
+    test('POST /auth/logout - should reject a token after logout', async () => {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send(testCredentials);
+      const token = loginResponse.body.token;
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    test('POST /auth/refresh - should rotate refresh tokens and detect reuse', async () => {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send(testCredentials);
+      const originalRefreshToken = loginResponse.body.refreshToken;
+      expect(originalRefreshToken).toBeDefined();
+
+      const refreshResponse = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: originalRefreshToken });
+
+      expect(refreshResponse.status).toBe(200);
+      expect(refreshResponse.body.token).toBeDefined();
+      expect(refreshResponse.body.refreshToken).not.toBe(originalRefreshToken);
+
+      // Replaying the rotated token revokes the whole family
+      const replayResponse = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: originalRefreshToken });
+
+      expect(replayResponse.status).toBe(401);
+      expect(replayResponse.body.error).toBe('Refresh token reuse detected');
+
+      const revokedResponse = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: refreshResponse.body.refreshToken });
+
+      expect(revokedResponse.status).toBe(401);
+    });
+
+    test('POST /auth/logout - should revoke the supplied refresh token', async () => {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send(testCredentials);
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ refreshToken: loginResponse.body.refreshToken });
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('Tokens should be signed and carry expiry claims', async () => {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send(testCredentials);
+      const [, payload] = loginResponse.body.token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+      expect(claims.sub).toBeDefined();
+      expect(claims.role).toBeDefined();
+      expect(claims.exp - claims.iat).toBe(loginResponse.body.expiresIn);
+
+      // Tampering with the payload must invalidate the signature
+      const forgedPayload = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+      const [header, , signature] = loginResponse.body.token.split('.');
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${header}.${forgedPayload}.${signature}`);
+
+      expect(response.status).toBe(401);
+    });
+
     test('Protected routes should require authentication', async () => {
       const response = await request(app)
         .post('/theme')
@@ -128,305 +309,2926 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
     });
   });
 
-  // ============ API ENDPOINTS AND DOCUMENTATION TESTS ============
-  describe('3. API Endpoints and Documentation Tests (35 pts)', () => {
-    
-    // THEME ENDPOINTS TESTS
-    describe('Theme Collection CRUD', () => {
-      test('GET /theme - should retrieve all themes', async () => {
-        const response = await request(app).get('/theme');
+  // ============ OAUTH PROVIDER LOGIN TESTS ============
+  describe('2a. OAuth Provider Login Tests', () => {
+    // Run the mock provider's authorization-code flow for an email address
+    const oauthLogin = async (email) => {
+      const startResponse = await request(app)
+        .get('/auth/oauth/mock/start')
+        .query({ format: 'json', login_hint: email });
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.count).toBeDefined();
-        expect(Array.isArray(response.body.data)).toBe(true);
-      });
+      const callbackUrl = new URL(startResponse.body.authorizeUrl);
+      return request(app).get(callbackUrl.pathname + callbackUrl.search);
+    };
 
-      test('POST /theme - should create theme with authentication', async () => {
-        // Get fresh token
-        const authResponse = await request(app)
-          .post('/auth/login')
-          .send({ username: 'admin', password: 'password123' });
-        
-        const freshToken = authResponse.body.token;
-        testThemeName = 'Test Theme ' + Date.now();
+    test('GET /auth/oauth/:provider/start - should redirect to the provider', async () => {
+      const response = await request(app).get('/auth/oauth/mock/start');
 
-        const themeData = {
-          themeName: testThemeName,
-          primaryColor: '#FF5733',
-          secondaryColor: '#33FF57',
-          fontFamily: 'Roboto'
-        };
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toContain('state=');
+    });
 
-        const response = await request(app)
-          .post('/theme')
-          .set('Authorization', `Bearer ${freshToken}`)
-          .send(themeData);
+    test('GET /auth/oauth/:provider/start - should build the callback from API_BASE_URL, not the Host header', async () => {
+      const apiBaseUrl = process.env.API_BASE_URL;
+      process.env.API_BASE_URL = 'https://api.portfolio.test';
+      let response;
+      try {
+        response = await request(app)
+          .get('/auth/oauth/mock/start')
+          .set('Host', 'attacker.example')
+          .query({ format: 'json' });
+      } finally {
+        if (apiBaseUrl === undefined) {
+          delete process.env.API_BASE_URL;
+        } else {
+          process.env.API_BASE_URL = apiBaseUrl;
+        }
+      }
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe('Theme created successfully');
-        expect(response.body.data.themeName).toBe(testThemeName);
-      });
+      expect(response.status).toBe(200);
+      expect(new URL(response.body.authorizeUrl).origin).toBe('https://api.portfolio.test');
+    });
 
-      test('PUT /theme/:themeName - should update theme', async () => {
-        const authResponse = await request(app)
-          .post('/auth/login')
-          .send({ username: 'admin', password: 'password123' });
-        
-        const freshToken = authResponse.body.token;
+    test('GET /auth/oauth/:provider/callback - should create a user and issue tokens', async () => {
+      const email = `oauth${Date.now()}@example.com`;
+      const response = await oauthLogin(email);
 
-        const updateData = {
-          primaryColor: '#AA5533'
-        };
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.data.email).toBe(email);
 
-        const response = await request(app)
-          .put(`/theme/${testThemeName}`)
-          .set('Authorization', `Bearer ${freshToken}`)
-          .send(updateData);
+      // Signing in again reuses the linked account
+      const second = await oauthLogin(email);
+      expect(second.body.data._id).toBe(response.body.data._id);
+    });
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe('Theme updated successfully');
+    test('GET /auth/oauth/:provider/callback - should link to an existing user by verified email', async () => {
+      const username = 'oauthlink' + Date.now();
+      const email = `${username}@example.com`;
+      await request(app).post('/auth/register').send({
+        username,
+        email,
+        fullName: 'OAuth Link User',
+        password: 'oauth-link-password'
       });
 
-      test('DELETE /theme/:themeName - should soft delete theme', async () => {
-        const response = await request(app)
-          .delete(`/theme/${testThemeName}`);
+      // Not linked until the address is verified
+      const unverified = await oauthLogin(email);
+      expect(unverified.status).toBe(409);
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe('Theme deleted successfully');
-      });
-    });
+      const message = getOutbox().filter(m => m.to === email).pop();
+      const token = message.text.match(/token=([\w-]+)/)[1];
+      await request(app).get(`/auth/verify-email?token=${token}`);
 
-    // USER ENDPOINTS TESTS
-    describe('User Collection CRUD', () => {
-      const testUser = {
-        username: 'testuser' + Date.now(),
-        email: `test${Date.now()}@example.com`,
-        fullName: 'Test User Final',
-        bio: 'Final project test user'
-      };
+      const response = await oauthLogin(email);
+      expect(response.status).toBe(200);
+      expect(response.body.data.username).toBe(username);
+    });
 
-      test('GET /user - should retrieve all users', async () => {
-        const response = await request(app).get('/user');
+    test('PUT /user/:username - should not change linked OAuth accounts or account state', async () => {
+      const response = await oauthLogin(`oauthput${Date.now()}@example.com`);
+      const { username, oauthAccounts } = response.body.data;
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(Array.isArray(response.body.data)).toBe(true);
-      });
+      const update = await request(app)
+        .put(`/user/${username}`)
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .send({ oauthAccounts: [{ provider: 'mock', providerId: 'someone-else' }], isActive: false });
 
-      test('POST /user - should create new user', async () => {
-        const response = await request(app)
-          .post('/user')
-          .send(testUser);
+      expect(update.status).toBe(200);
+      expect(update.body.data.oauthAccounts).toEqual(oauthAccounts);
+      expect(update.body.data.isActive).toBe(true);
+    });
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe('User created successfully');
-        expect(response.body.data.username).toBe(testUser.username);
-        
-        testUserId = response.body.data._id;
-      });
+    test('GET /auth/oauth/:provider/callback - should reject a forged state', async () => {
+      const response = await request(app)
+        .get('/auth/oauth/mock/callback')
+        .query({ code: 'anything', state: 'not-a-signed-state' });
 
-      test('GET /user/:username - should get user by username', async () => {
-        const response = await request(app)
-          .get(`/user/${testUser.username}`);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid OAuth state');
+    });
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.username).toBe(testUser.username);
-      });
+    test('GET /auth/oauth/:provider/start - should 404 for unknown providers', async () => {
+      const response = await request(app).get('/auth/oauth/unknown/start');
 
-      test('PUT /user/:username - should update user', async () => {
-        const updateData = { bio: 'Updated bio for final project' };
+      expect(response.status).toBe(404);
+    });
+  });
 
-        const response = await request(app)
-          .put(`/user/${testUser.username}`)
-          .send(updateData);
+  // ============ ROLE-BASED AUTHORIZATION TESTS ============
+  describe('2b. Role-Based Authorization Tests', () => {
+    const ownerAccount = {
+      username: 'owner' + Date.now(),
+      email: `owner${Date.now()}@example.com`,
+      fullName: 'Owner Role User',
+      password: 'owner-password-123'
+    };
+    let ownerToken;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send(ownerAccount);
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.bio).toBe(updateData.bio);
-      });
+      ownerToken = response.body.token;
+    });
 
-      test('DELETE /user/:username - should soft delete user', async () => {
-        const response = await request(app)
-          .delete(`/user/${testUser.username}`);
+    test('New registrations should receive the owner role', async () => {
+      const [, payload] = ownerToken.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-      });
+      expect(claims.role).toBe('owner');
     });
 
-    // PROJECT ENDPOINTS TESTS
-    describe('Project Collection CRUD', () => {
-      const testProject = {
-        title: 'Final Project Test ' + Date.now(),
-        description: 'Comprehensive test project for final submission with detailed description',
-        technologies: ['Node.js', 'Express', 'MongoDB', 'Jest', 'Swagger'],
-        githubUrl: 'https://github.com/testuser/final-project',
-        liveUrl: 'https://final-project.netlify.app',
-        status: 'completed'
-      };
+    test('Owners should be forbidden from creating themes', async () => {
+      const response = await request(app)
+        .post('/theme')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          themeName: 'Owner Theme ' + Date.now(),
+          primaryColor: '#000000',
+          secondaryColor: '#FFFFFF',
+          fontFamily: 'Arial'
+        });
 
-      test('GET /project - should retrieve all projects', async () => {
-        const response = await request(app).get('/project');
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Forbidden');
+    });
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(Array.isArray(response.body.data)).toBe(true);
+    test('Previously open write routes should now require authentication', async () => {
+      const responses = await Promise.all([
+        request(app).delete('/theme/anything'),
+        request(app).post('/user').send({}),
+        request(app).put('/skill/anything').send({}),
+        request(app).delete('/project/507f1f77bcf86cd799439011')
+      ]);
+
+      responses.forEach(response => {
+        expect(response.status).toBe(401);
       });
+    });
 
-      test('POST /project - should create project with authentication', async () => {
-        const authResponse = await request(app)
-          .post('/auth/login')
-          .send({ username: 'admin', password: 'password123' });
-        
-        const freshToken = authResponse.body.token;
+    test('PUT /user/:username/role - admins should be able to change roles', async () => {
+      const forbidden = await request(app)
+        .put(`/user/${ownerAccount.username}/role`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'admin' });
 
-        // Create user for project if not exists
-        if (!testUserId) {
-          const userResponse = await request(app)
-            .post('/user')
-            .send({
-              username: 'projectuser' + Date.now(),
-              email: `projectuser${Date.now()}@example.com`,
-              fullName: 'Project User'
-            });
-          testUserId = userResponse.body.data._id;
-        }
+      expect(forbidden.status).toBe(403);
 
-        testProject.userId = testUserId;
+      const response = await request(app)
+        .put(`/user/${ownerAccount.username}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'editor' });
 
-        const response = await request(app)
+      expect(response.status).toBe(200);
+      expect(response.body.data.role).toBe('editor');
+      expect(response.body.revokedSessions).toBe(1);
+
+      // Tokens issued with the old role stop working
+      const staleToken = await request(app)
+        .put(`/user/${ownerAccount.username}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ bio: 'Still an owner?' });
+
+      expect(staleToken.status).toBe(401);
+    });
+
+    test('GET / - protectedRoutes should be generated from the permission matrix', async () => {
+      const { PERMISSIONS } = require('../config/permissions');
+      const response = await request(app).get('/');
+
+      expect(response.body.authentication.protectedRoutes).toEqual(Object.keys(PERMISSIONS));
+    });
+  });
+
+  // ============ RESOURCE OWNERSHIP TESTS ============
+  describe('2c. Resource Ownership Tests', () => {
+    const registerOwner = async (prefix) => {
+      const username = prefix + Date.now();
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          username,
+          email: `${username}@example.com`,
+          fullName: 'Ownership Test User',
+          password: 'ownership-password'
+        });
+
+      return { username, id: response.body.data._id, token: response.body.token };
+    };
+
+    let alice;
+    let bob;
+    let aliceProjectId;
+
+    beforeAll(async () => {
+      alice = await registerOwner('alice');
+      bob = await registerOwner('bob');
+
+      const response = await request(app)
+        .post('/project')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({
+          title: 'Alice Project',
+          description: 'Project owned by Alice for ownership tests',
+          technologies: ['Node.js']
+        });
+
+      aliceProjectId = response.body.data._id;
+    });
+
+    test('POST /project - should default userId to the caller', async () => {
+      const response = await request(app)
+        .get(`/project/${aliceProjectId}`)
+        .set('Authorization', `Bearer ${alice.token}`);
+
+      expect(response.body.data.userId._id).toBe(alice.id);
+    });
+
+    test('GET /project/:id - should hide unpublished projects from everyone but the owner and admins', async () => {
+      const anonymous = await request(app).get(`/project/${aliceProjectId}`);
+      expect(anonymous.status).toBe(404);
+
+      const otherOwner = await request(app)
+        .get(`/project/${aliceProjectId}`)
+        .set('Authorization', `Bearer ${bob.token}`);
+      expect(otherOwner.status).toBe(404);
+
+      const admin = await request(app)
+        .get(`/project/${aliceProjectId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(admin.status).toBe(200);
+    });
+
+    test('GET /project - should only list unpublished projects for their owner and admins', async () => {
+      const listedIds = async (token) => {
+        const listing = request(app).get('/project').query({ userId: alice.id });
+        const response = await (token ? listing.set('Authorization', `Bearer ${token}`) : listing);
+        return response.body.data.map(project => project._id);
+      };
+
+      expect(await listedIds()).not.toContain(aliceProjectId);
+      expect(await listedIds(bob.token)).not.toContain(aliceProjectId);
+      expect(await listedIds(alice.token)).toContain(aliceProjectId);
+      expect(await listedIds(adminToken)).toContain(aliceProjectId);
+    });
+
+    test('POST /project - should forbid creating projects for other users', async () => {
+      const response = await request(app)
+        .post('/project')
+        .set('Authorization', `Bearer ${bob.token}`)
+        .send({
+          title: 'Sneaky Project',
+          description: 'Bob trying to create a project for Alice',
+          technologies: ['Node.js'],
+          userId: alice.id
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('PUT/DELETE /project/:id - should only allow the owner', async () => {
+      const bobUpdate = await request(app)
+        .put(`/project/${aliceProjectId}`)
+        .set('Authorization', `Bearer ${bob.token}`)
+        .send({ status: 'completed' });
+
+      expect(bobUpdate.status).toBe(403);
+
+      const bobDelete = await request(app)
+        .delete(`/project/${aliceProjectId}`)
+        .set('Authorization', `Bearer ${bob.token}`);
+
+      expect(bobDelete.status).toBe(403);
+
+      const aliceUpdate = await request(app)
+        .put(`/project/${aliceProjectId}`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ status: 'completed' });
+
+      expect(aliceUpdate.status).toBe(200);
+    });
+
+    test('PUT /user/:username - should only allow the user themselves', async () => {
+      const bobUpdate = await request(app)
+        .put(`/user/${alice.username}`)
+        .set('Authorization', `Bearer ${bob.token}`)
+        .send({ bio: 'Edited by Bob' });
+
+      expect(bobUpdate.status).toBe(403);
+
+      const aliceUpdate = await request(app)
+        .put(`/user/${alice.username}`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ bio: 'Edited by Alice' });
+
+      expect(aliceUpdate.status).toBe(200);
+    });
+
+    test('GET /project?mine=true - should scope to the authenticated user', async () => {
+      const response = await request(app)
+        .get('/project')
+        .query({ mine: 'true' })
+        .set('Authorization', `Bearer ${bob.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(0);
+
+      const unauthenticated = await request(app)
+        .get('/project')
+        .query({ mine: 'true' });
+
+      expect(unauthenticated.status).toBe(401);
+    });
+
+    test('GET /user?mine=true - should return only the caller', async () => {
+      const response = await request(app)
+        .get('/user')
+        .query({ mine: 'true' })
+        .set('Authorization', `Bearer ${alice.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].username).toBe(alice.username);
+    });
+  });
+
+  // ============ API KEY TESTS ============
+  describe('2d. API Key Tests', () => {
+    let apiKey;
+    let apiKeyId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/auth/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Test CI key', scopes: ['skill:write'] });
+
+      apiKey = response.body.key;
+      apiKeyId = response.body.data._id;
+    });
+
+    test('POST /auth/api-keys - should return the key once and store only a hash', async () => {
+      expect(apiKey).toMatch(/^pbk_/);
+
+      const response = await request(app)
+        .get('/auth/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const listed = response.body.data.find(key => key._id === apiKeyId);
+      expect(listed.prefix).toBe(apiKey.slice(0, 12));
+      expect(listed.keyHash).toBeUndefined();
+      expect(JSON.stringify(response.body)).not.toContain(apiKey);
+    });
+
+    test('POST /auth/api-keys - should reject unknown scopes', async () => {
+      const response = await request(app)
+        .post('/auth/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bad scopes', scopes: ['everything:write'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('X-API-Key - should allow routes within scope and record last use', async () => {
+      const response = await request(app)
+        .post('/skill')
+        .set('X-API-Key', apiKey)
+        .send({ name: 'API Key Skill ' + Date.now(), category: 'devops' });
+
+      expect(response.status).toBe(201);
+
+      const keys = await request(app)
+        .get('/auth/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(keys.body.data.find(key => key._id === apiKeyId).lastUsedAt).not.toBeNull();
+    });
+
+    test('X-API-Key - should be rejected outside its scopes', async () => {
+      const response = await request(app)
+        .post('/theme')
+        .set('X-API-Key', apiKey)
+        .send({ themeName: 'Scoped Out', primaryColor: '#000000', secondaryColor: '#FFFFFF', fontFamily: 'Arial' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toContain('theme:write');
+    });
+
+    test('X-API-Key - should be refused on account routes', async () => {
+      const responses = await Promise.all([
+        request(app).get('/auth/api-keys').set('X-API-Key', apiKey),
+        request(app).get('/auth/sessions').set('X-API-Key', apiKey),
+        request(app).get('/admin/audit').set('X-API-Key', apiKey)
+      ]);
+
+      responses.forEach(response => {
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('This route cannot be called with an API key');
+      });
+    });
+
+    test('DELETE /auth/api-keys/:id - revoked keys should stop working', async () => {
+      const revoke = await request(app)
+        .delete(`/auth/api-keys/${apiKeyId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(revoke.status).toBe(200);
+
+      const response = await request(app)
+        .post('/skill')
+        .set('X-API-Key', apiKey)
+        .send({ name: 'Revoked Key Skill', category: 'devops' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  // ============ SESSION MANAGEMENT TESTS ============
+  describe('2e. Session Management Tests', () => {
+    const sessionUser = {
+      username: 'sess' + Date.now(),
+      email: `sess${Date.now()}@example.com`,
+      fullName: 'Session Test User',
+      password: 'session-password'
+    };
+    const login = () => request(app)
+      .post('/auth/login')
+      .set('User-Agent', 'jest-session-test')
+      .send({ username: sessionUser.username, password: sessionUser.password });
+
+    beforeAll(async () => {
+      await request(app).post('/auth/register').send(sessionUser);
+    });
+
+    test('GET /auth/sessions - should list sessions with metadata', async () => {
+      const { body } = await login();
+
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      expect(response.status).toBe(200);
+      const current = response.body.data.find(session => session.current);
+      expect(current).toBeDefined();
+      expect(current.userAgent).toBe('jest-session-test');
+      expect(current.createdAt).toBeDefined();
+      expect(current.lastUsedAt).toBeDefined();
+    });
+
+    test('DELETE /auth/sessions/:id - should revoke another session immediately', async () => {
+      const first = (await login()).body;
+      const second = (await login()).body;
+
+      const [, payload] = second.token.split('.');
+      const { sid } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+      const revoke = await request(app)
+        .delete(`/auth/sessions/${sid}`)
+        .set('Authorization', `Bearer ${first.token}`);
+      expect(revoke.status).toBe(200);
+
+      // The revoked login has lost access; the caller's has not
+      const results = await Promise.all([first, second].map(({ token }) => request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)));
+      expect(results[0].status).toBe(200);
+      expect(results[1].status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: second.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    test('POST /auth/logout-all - should revoke every session', async () => {
+      const first = (await login()).body;
+      const second = (await login()).body;
+
+      const response = await request(app)
+        .post('/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`);
+      expect(response.status).toBe(200);
+
+      const check = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${second.token}`);
+      expect(check.status).toBe(401);
+    });
+
+    test('POST /user/:username/logout-all - admins should force-logout a user', async () => {
+      const { token } = (await login()).body;
+
+      const forbidden = await request(app)
+        .post(`/user/${sessionUser.username}/logout-all`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(forbidden.status).toBe(403);
+
+      const response = await request(app)
+        .post(`/user/${sessionUser.username}/logout-all`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(response.status).toBe(200);
+      expect(response.body.revokedSessions).toBeGreaterThan(0);
+
+      const check = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+      expect(check.status).toBe(401);
+    });
+  });
+
+  // ============ BRUTE-FORCE PROTECTION TESTS ============
+  describe('2f. Brute-Force Protection Tests', () => {
+    const throttledUser = {
+      username: 'brute' + Date.now(),
+      email: `brute${Date.now()}@example.com`,
+      fullName: 'Brute Force Target',
+      password: 'the-real-password'
+    };
+    const attempt = (password) => request(app)
+      .post('/auth/login')
+      .send({ username: throttledUser.username, password });
+
+    beforeAll(async () => {
+      await request(app).post('/auth/register').send(throttledUser);
+    });
+
+    test('POST /auth/login - should delay repeated failures with 429 and Retry-After', async () => {
+      for (let i = 0; i < 4; i++) {
+        const response = await attempt('wrong-password');
+        expect(response.status).toBe(401);
+      }
+
+      const throttled = await attempt('wrong-password');
+      expect(throttled.status).toBe(429);
+      expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Even the correct password waits until the delay has passed
+      const correct = await attempt(throttledUser.password);
+      expect(correct.status).toBe(429);
+    });
+
+    test('POST /auth/login - should count simultaneous failures without errors', async () => {
+      const username = 'racer' + Date.now();
+      const responses = await Promise.all([1, 2, 3].map(() => request(app)
+        .post('/auth/login')
+        .send({ username, password: 'wrong-password' })));
+
+      responses.forEach(response => {
+        expect(response.status).toBe(401);
+      });
+
+      const tracked = await LoginAttempt.findOne({ key: `username:${username}` });
+      expect(tracked.failures).toBe(3);
+    });
+
+    test('DELETE /user/:username/lockout - admins should be able to clear the lockout', async () => {
+      const response = await request(app)
+        .delete(`/user/${throttledUser.username}/lockout`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const login = await attempt(throttledUser.password);
+      expect(login.status).toBe(200);
+    });
+  });
+
+  // ============ PASSWORD RESET AND EMAIL VERIFICATION TESTS ============
+  describe('2g. Password Reset and Email Verification Tests', () => {
+    const mailUser = {
+      username: 'mail' + Date.now(),
+      email: `mail${Date.now()}@example.com`,
+      fullName: 'Mail Flow User',
+      password: 'original-password'
+    };
+    let mailUserToken;
+
+    // Pull the token out of the most recent email to an address that
+    // mentions `path`, from a link or a POST /auth/reset-password line
+    const lastTokenSentTo = (email, path) => {
+      const message = getOutbox().filter((m) => m.to === email && m.text.includes(path)).pop();
+      return message && message.text.match(/(?:token=|reset-password: )([\w-]+)/)[1];
+    };
+
+    beforeAll(async () => {
+      const response = await request(app).post('/auth/register').send(mailUser);
+      mailUserToken = response.body.token;
+    });
+
+    test('POST /auth/register - should send a verification email', async () => {
+      expect(lastTokenSentTo(mailUser.email, '/auth/verify-email')).toBeDefined();
+
+      const user = await request(app).get(`/user/${mailUser.username}`);
+      expect(user.body.data.isVerified).toBe(false);
+    });
+
+    test('POST /project - unverified users should not be able to publish', async () => {
+      const response = await request(app)
+        .post('/project')
+        .set('Authorization', `Bearer ${mailUserToken}`)
+        .send({
+          title: 'Unverified Project',
+          description: 'Should not be published before verification',
+          technologies: ['Node.js'],
+          isPublished: true
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /auth/verify-email - should verify the account once', async () => {
+      const token = lastTokenSentTo(mailUser.email, '/auth/verify-email');
+
+      const response = await request(app).get(`/auth/verify-email?token=${token}`);
+      expect(response.status).toBe(200);
+      expect(response.body.data.isVerified).toBe(true);
+
+      const reused = await request(app).get(`/auth/verify-email?token=${token}`);
+      expect(reused.status).toBe(400);
+
+      const project = await request(app)
+        .post('/project')
+        .set('Authorization', `Bearer ${mailUserToken}`)
+        .send({
+          title: 'Verified Project',
+          description: 'Published after verification',
+          technologies: ['Node.js'],
+          isPublished: true
+        });
+      expect(project.status).toBe(201);
+    });
+
+    test('POST /user - should send a verification email', async () => {
+      const username = 'created' + Date.now();
+      await request(app)
+        .post('/user')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ username, email: `${username}@example.com`, fullName: 'Created User' });
+
+      expect(lastTokenSentTo(`${username}@example.com`, '/auth/verify-email')).toBeDefined();
+    });
+
+    test('POST /auth/forgot-password - should not reveal whether an email is registered', async () => {
+      const known = await request(app).post('/auth/forgot-password').send({ email: mailUser.email });
+      const unknown = await request(app).post('/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(getOutbox().some((m) => m.to === 'nobody@example.com')).toBe(false);
+    });
+
+    test('POST /auth/forgot-password - should throttle repeated requests for an email', async () => {
+      const email = `throttled${Date.now()}@example.com`;
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        const response = await request(app).post('/auth/forgot-password').send({ email });
+        statuses.push(response.status);
+        if (response.status === 429) {
+          expect(response.headers['retry-after']).toBeDefined();
+        }
+      }
+
+      expect(statuses.slice(0, 3)).toEqual([200, 200, 200]);
+      expect(statuses[3]).toBe(429);
+    });
+
+    test('POST /auth/forgot-password - should build links from configured URLs, not the Host header', async () => {
+      const apiBaseUrl = process.env.API_BASE_URL;
+      process.env.API_BASE_URL = 'https://api.portfolio.test';
+      process.env.FRONTEND_BASE_URL = 'https://portfolio.test/';
+      try {
+        await request(app)
+          .post('/auth/forgot-password')
+          .set('Host', 'attacker.example')
+          .send({ email: mailUser.email });
+      } finally {
+        if (apiBaseUrl === undefined) {
+          delete process.env.API_BASE_URL;
+        } else {
+          process.env.API_BASE_URL = apiBaseUrl;
+        }
+        delete process.env.FRONTEND_BASE_URL;
+      }
+
+      const message = getOutbox().filter((m) => m.to === mailUser.email).pop();
+      expect(message.text).toContain('https://portfolio.test/reset-password?token=');
+      expect(message.text).toContain('POST https://api.portfolio.test/auth/reset-password');
+      expect(message.text).not.toContain('attacker.example');
+    });
+
+    test('POST /auth/reset-password - should set a new password with a single-use token', async () => {
+      const token = lastTokenSentTo(mailUser.email, '/reset-password');
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: 'brand-new-password' });
+      expect(response.status).toBe(200);
+
+      const reused = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: 'another-password' });
+      expect(reused.status).toBe(400);
+
+      // Existing sessions are logged out
+      const profile = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${mailUserToken}`);
+      expect(profile.status).toBe(401);
+
+      const oldLogin = await request(app)
+        .post('/auth/login')
+        .send({ username: mailUser.username, password: mailUser.password });
+      expect(oldLogin.status).toBe(401);
+
+      const newLogin = await request(app)
+        .post('/auth/login')
+        .send({ username: mailUser.username, password: 'brand-new-password' });
+      expect(newLogin.status).toBe(200);
+    });
+
+    test('POST /auth/reset-password - should reject unknown tokens', async () => {
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'not-a-real-token', password: 'brand-new-password' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ============ TWO-FACTOR AUTHENTICATION TESTS ============
+  describe('2h. Two-Factor Authentication Tests', () => {
+    const mfaUser = {
+      username: 'mfa' + Date.now(),
+      email: `mfa${Date.now()}@example.com`,
+      fullName: 'Two Factor User',
+      password: 'two-factor-password'
+    };
+    let mfaToken;
+    let secret;
+    let recoveryCodes;
+
+    // Codes are single-use, so use the next time step's code for a second login
+    const nextCode = () => totp.generateCode(secret, totp.getStep() + 1);
+    const login = () => request(app)
+      .post('/auth/login')
+      .send({ username: mfaUser.username, password: mfaUser.password });
+
+    beforeAll(async () => {
+      const response = await request(app).post('/auth/register').send(mfaUser);
+      mfaToken = response.body.token;
+    });
+
+    test('POST /auth/2fa/setup - should return a secret and otpauth URI', async () => {
+      const response = await request(app)
+        .post('/auth/2fa/setup')
+        .set('Authorization', `Bearer ${mfaToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      secret = response.body.secret;
+    });
+
+    test('POST /auth/2fa/verify - should reject a wrong code', async () => {
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .send({ code: '000000' === totp.generateCode(secret) ? '111111' : '000000' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('POST /auth/2fa/verify - should enable 2FA and return recovery codes', async () => {
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .send({ code: totp.generateCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodes).toHaveLength(10);
+      recoveryCodes = response.body.recoveryCodes;
+
+      const user = await request(app).get(`/user/${mfaUser.username}`);
+      expect(user.body.data.twoFactorEnabled).toBe(true);
+      expect(user.body.data).not.toHaveProperty('twoFactorSecret');
+    });
+
+    test('PUT /user/:username - should not turn 2FA off', async () => {
+      const response = await request(app)
+        .put(`/user/${mfaUser.username}`)
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .send({ bio: 'Still protected', twoFactorEnabled: false, twoFactorRecoveryCodes: [], role: 'admin' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.bio).toBe('Still protected');
+      expect(response.body.data.twoFactorEnabled).toBe(true);
+      expect(response.body.data.role).toBe('owner');
+    });
+
+    test('POST /auth/login - should return a challenge instead of a token', async () => {
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body).toHaveProperty('challengeToken');
+      expect(response.body).not.toHaveProperty('token');
+
+      // The challenge token is not an access token
+      const misuse = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${response.body.challengeToken}`);
+      expect(misuse.status).toBe(401);
+    });
+
+    test('POST /auth/login/2fa - should issue tokens for a valid code only once', async () => {
+      const { body } = await login();
+      const code = nextCode();
+
+      const wrong = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: code === '000000' ? '111111' : '000000' });
+      expect(wrong.status).toBe(401);
+
+      const response = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code });
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('token');
+
+      const replay = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code });
+      expect(replay.status).toBe(401);
+    });
+
+    test('POST /auth/login/2fa - should accept a recovery code once', async () => {
+      const { body } = await login();
+
+      const response = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: recoveryCodes[0] });
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const reused = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: recoveryCodes[0] });
+      expect(reused.status).toBe(401);
+    });
+
+    test('POST /auth/2fa/disable - should turn 2FA off with a recovery code', async () => {
+      const response = await request(app)
+        .post('/auth/2fa/disable')
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .send({ code: recoveryCodes[1] });
+      expect(response.status).toBe(200);
+
+      const loginResponse = await login();
+      expect(loginResponse.body).toHaveProperty('token');
+    });
+  });
+
+  // ============ AUDIT LOG TESTS ============
+  describe('2i. Audit Log Tests', () => {
+    const auditedTheme = 'Audited Theme ' + Date.now();
+    const searchAudit = (query) => request(app)
+      .get('/admin/audit')
+      .query(query)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    beforeAll(async () => {
+      await request(app)
+        .post('/theme')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          themeName: auditedTheme,
+          primaryColor: '#123456',
+          secondaryColor: '#654321',
+          fontFamily: 'Georgia'
+        });
+      await request(app)
+        .delete(`/theme/${encodeURIComponent(auditedTheme)}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Request-Id', 'audit-test-delete');
+    });
+
+    test('DELETE /theme/:themeName - should record who deleted the theme and the diff', async () => {
+      const response = await searchAudit({ resourceType: 'theme', resourceId: auditedTheme, action: 'theme.delete' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+
+      const [event] = response.body.data;
+      expect(event.actor.userId).toBeDefined();
+      expect(event.actor.role).toBe('admin');
+      expect(event.changes.isActive).toEqual({ from: true, to: false });
+      expect(event.requestId).toBe('audit-test-delete');
+      expect(event).toHaveProperty('ip');
+    });
+
+    test('GET /admin/audit - should reject repeated and nested filters', async () => {
+      const repeated = await request(app)
+        .get('/admin/audit?action=theme.delete&action=theme.')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(repeated.status).toBe(400);
+
+      const operator = await request(app)
+        .get('/admin/audit?actor[$ne]=nobody')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(operator.status).toBe(400);
+      expect(operator.body.details).toEqual(['actor must be a single value']);
+    });
+
+    test('Responses should carry an X-Request-Id header', async () => {
+      const response = await request(app).get('/health');
+
+      expect(response.headers['x-request-id']).toBeDefined();
+    });
+
+    test('Failed logins should be audited without a user ID', async () => {
+      const username = 'ghost' + Date.now();
+      await request(app).post('/auth/login').send({ username, password: 'wrong-password' });
+
+      const response = await searchAudit({ action: 'auth.login_failed', actor: username });
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].actor.userId).toBeNull();
+      expect(response.body.data[0].metadata.reason).toBe('invalid_credentials');
+    });
+
+    test('GET /admin/audit - should filter by action prefix and paginate', async () => {
+      const response = await searchAudit({ action: 'auth.', limit: 2, page: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeLessThanOrEqual(2);
+      expect(response.body.limit).toBe(2);
+      expect(response.body.total).toBeGreaterThanOrEqual(response.body.count);
+      response.body.data.forEach(event => expect(event.action.startsWith('auth.')).toBe(true));
+    });
+
+    test('GET /admin/audit - should reject invalid dates', async () => {
+      const response = await searchAudit({ from: 'not-a-date' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('GET /admin/audit - should be limited to admins', async () => {
+      const username = 'nosy' + Date.now();
+      const registration = await request(app)
+        .post('/auth/register')
+        .send({ username, email: `${username}@example.com`, fullName: 'Nosy User', password: 'nosy-password' });
+
+      const response = await request(app)
+        .get('/admin/audit')
+        .set('Authorization', `Bearer ${registration.body.token}`);
+      expect(response.status).toBe(403);
+    });
+
+    test('Audit events should be append-only', async () => {
+      await expect(AuditEvent.updateMany({}, { action: 'tampered' })).rejects.toThrow('append-only');
+      await expect(AuditEvent.deleteMany({})).rejects.toThrow('append-only');
+    });
+  });
+
+  // ============ API ENDPOINTS AND DOCUMENTATION TESTS ============
+  describe('3. API Endpoints and Documentation Tests (35 pts)', () => {
+    
+    // THEME ENDPOINTS TESTS
+    describe('Theme Collection CRUD', () => {
+      test('GET /theme - should retrieve all themes', async () => {
+        const response = await request(app).get('/theme');
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.count).toBeDefined();
+        expect(Array.isArray(response.body.data)).toBe(true);
+      });
+
+      test('POST /theme - should create theme with authentication', async () => {
+        // Get fresh token
+        const authResponse = await request(app)
+          .post('/auth/login')
+          .send(testCredentials);
+        
+        const freshToken = authResponse.body.token;
+        testThemeName = 'Test Theme ' + Date.now();
+
+        const themeData = {
+          themeName: testThemeName,
+          primaryColor: '#FF5733',
+          secondaryColor: '#33FF57',
+          fontFamily: 'Roboto'
+        };
+
+        const response = await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${freshToken}`)
+          .send(themeData);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe('Theme created successfully');
+        expect(response.body.data.themeName).toBe(testThemeName);
+      });
+
+      test('PUT /theme/:themeName - should update theme', async () => {
+        const authResponse = await request(app)
+          .post('/auth/login')
+          .send(testCredentials);
+        
+        const freshToken = authResponse.body.token;
+
+        const updateData = {
+          primaryColor: '#AA5533'
+        };
+
+        const response = await request(app)
+          .put(`/theme/${testThemeName}`)
+          .set('Authorization', `Bearer ${freshToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe('Theme updated successfully');
+      });
+
+      test('DELETE /theme/:themeName - should soft delete theme', async () => {
+        const response = await request(app)
+          .delete(`/theme/${testThemeName}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe('Theme deleted successfully');
+      });
+    });
+
+    describe('Theme Design Tokens', () => {
+      const tokenThemeName = 'Token Theme ' + Date.now();
+
+      test('POST /theme - should derive design tokens for a two-color theme', async () => {
+        const response = await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: tokenThemeName, primaryColor: '#336699', secondaryColor: '#FFCC00', fontFamily: 'Georgia' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.modes.light.accent).toBe('#336699');
+        expect(Object.keys(response.body.data.modes.dark)).toEqual(
+          expect.arrayContaining(['background', 'surface', 'text', 'accent', 'border'])
+        );
+        expect(response.body.data.typography.headingFont).toBe('Georgia');
+        expect(response.body.data.typography.bodyFont).toBe('Georgia');
+        expect(response.body.data.typography.typeScale.length).toBeGreaterThanOrEqual(3);
+        expect(response.body.data.spacing.length).toBeGreaterThan(0);
+        expect(response.body.data.radius.medium).toBeDefined();
+      });
+
+      test('POST /theme - should reject invalid tokens', async () => {
+        const response = await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            themeName: 'Broken Tokens ' + Date.now(),
+            primaryColor: '#336699',
+            secondaryColor: '#FFCC00',
+            fontFamily: 'Georgia',
+            modes: { dark: { text: 'white' } },
+            typography: { typeScale: [16, 12, 20] },
+            spacing: [0, -4],
+            radius: { large: 100 }
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual(expect.arrayContaining([
+          'Invalid dark text color format',
+          'Type scale must be 3-10 ascending font sizes between 8 and 128px',
+          'Spacing must be 1-12 ascending values between 0 and 256px',
+          'Radius cannot exceed 64px'
+        ]));
+      });
+
+      test('PUT /theme/:themeName - should merge partial token updates', async () => {
+        const response = await request(app)
+          .put(`/theme/${encodeURIComponent(tokenThemeName)}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ modes: { dark: { accent: '#88BBEE' } }, typography: { bodyFont: 'Roboto' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.modes.dark.accent).toBe('#88BBEE');
+        expect(response.body.data.modes.dark.background).toBeDefined();
+        expect(response.body.data.typography.headingFont).toBe('Georgia');
+        expect(response.body.data.fontFamily).toBe('Roboto');
+      });
+
+      test('PUT /theme/:themeName - should reject an invalid token update', async () => {
+        const response = await request(app)
+          .put(`/theme/${encodeURIComponent(tokenThemeName)}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ modes: { light: { background: 'not-a-color' } } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation Error');
+      });
+    });
+
+    describe('Theme Accessibility', () => {
+      const lowContrastName = 'Low Contrast ' + Date.now();
+
+      beforeAll(async () => {
+        await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: lowContrastName, primaryColor: '#777777', secondaryColor: '#888888', fontFamily: 'Arial' });
+      });
+
+      test('GET /theme/:themeName/accessibility - should report contrast per pair', async () => {
+        const response = await request(app).get(`/theme/${encodeURIComponent(lowContrastName)}/accessibility`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.passesAA).toBe(false);
+
+        const brandPair = response.body.data.pairs.find(pair => pair.pair === 'primaryColor on secondaryColor');
+        expect(brandPair.ratio).toBeLessThan(1.5);
+        expect(brandPair.AA.normal).toBe(false);
+        expect(brandPair.suggestedForeground.AA).toMatch(/^#[0-9a-f]{6}$/);
+
+        const textPair = response.body.data.pairs.find(pair => pair.pair === 'modes.light.text on modes.light.background');
+        expect(textPair.AA.normal).toBe(true);
+      });
+
+      test('GET /theme/:themeName/accessibility - should return 404 for unknown themes', async () => {
+        const response = await request(app).get('/theme/No%20Such%20Theme/accessibility');
+
+        expect(response.status).toBe(404);
+      });
+
+      test('POST /theme?strict=true - should reject unreadable color pairs', async () => {
+        const response = await request(app)
+          .post('/theme')
+          .query({ strict: 'true' })
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: 'Strict Fail ' + Date.now(), primaryColor: '#777777', secondaryColor: '#888888', fontFamily: 'Arial' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation Error');
+        expect(response.body.details[0]).toContain('primaryColor on secondaryColor');
+      });
+
+      test('POST /theme?strict=true - should accept readable color pairs', async () => {
+        const response = await request(app)
+          .post('/theme')
+          .query({ strict: 'true' })
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: 'Strict Pass ' + Date.now(), primaryColor: '#1a1a1a', secondaryColor: '#ffffff', fontFamily: 'Arial' });
+
+        expect(response.status).toBe(201);
+      });
+
+      test('PUT /theme/:themeName?strict=AAA - should reject pairs below AAA', async () => {
+        const response = await request(app)
+          .put(`/theme/${encodeURIComponent(lowContrastName)}`)
+          .query({ strict: 'AAA' })
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ primaryColor: '#595959', secondaryColor: '#ffffff' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details[0]).toContain('WCAG AAA');
+      });
+
+      test('POST /theme - should reject an invalid strict level', async () => {
+        const response = await request(app)
+          .post('/theme')
+          .query({ strict: 'maybe' })
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: 'Strict Invalid ' + Date.now(), primaryColor: '#1a1a1a', secondaryColor: '#ffffff', fontFamily: 'Arial' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('strict must be true, false, AA or AAA');
+      });
+    });
+
+    describe('Theme Exports', () => {
+      const exportThemeName = 'Export Theme ' + Date.now();
+
+      beforeAll(async () => {
+        await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: exportThemeName, primaryColor: '#336699', secondaryColor: '#FFFFFF', fontFamily: 'Open Sans' });
+      });
+
+      test('GET /theme/:themeName/css - should return CSS custom properties', async () => {
+        const response = await request(app).get(`/theme/${encodeURIComponent(exportThemeName)}/css`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/css/);
+        expect(response.headers['cache-control']).toContain('max-age');
+        expect(response.headers.etag).toBeDefined();
+        expect(response.headers['last-modified']).toBeDefined();
+        expect(response.text).toContain('--theme-color-primary: #336699;');
+        expect(response.text).toContain('--theme-font-body: "Open Sans", sans-serif;');
+        expect(response.text).toContain('[data-theme="dark"]');
+      });
+
+      test('GET /theme/:themeName/css - should answer 304 for a matching ETag', async () => {
+        const first = await request(app).get(`/theme/${encodeURIComponent(exportThemeName)}/css`);
+
+        const response = await request(app)
+          .get(`/theme/${encodeURIComponent(exportThemeName)}/css`)
+          .set('If-None-Match', first.headers.etag);
+
+        expect(response.status).toBe(304);
+      });
+
+      test('GET /theme/:themeName/tailwind - should return a Tailwind config fragment', async () => {
+        const response = await request(app).get(`/theme/${encodeURIComponent(exportThemeName)}/tailwind`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^application\/json/);
+        expect(response.body.theme.extend.colors.primary).toBe('#336699');
+        expect(response.body.theme.extend.colors.dark.background).toMatch(/^#/);
+        expect(response.body.theme.extend.fontFamily.body).toEqual(['Open Sans', 'sans-serif']);
+        expect(response.body.theme.extend.spacing['1']).toBe('4px');
+      });
+
+      test('GET /theme/:themeName/tokens - should return Style Dictionary tokens', async () => {
+        const response = await request(app).get(`/theme/${encodeURIComponent(exportThemeName)}/tokens`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.color.primary).toEqual({ value: '#336699', type: 'color' });
+        expect(response.body.color.dark.text.type).toBe('color');
+        expect(response.body.radius.medium).toEqual({ value: '4px', type: 'dimension' });
+      });
+
+      test('GET /theme/:themeName/css - should return 404 for unknown themes', async () => {
+        const response = await request(app).get('/theme/No%20Such%20Theme/css');
+
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('Theme Forking', () => {
+      const parentName = 'Fork Parent ' + Date.now();
+      const forkName = 'Fork Child ' + Date.now();
+
+      beforeAll(async () => {
+        await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: parentName, primaryColor: '#336699', secondaryColor: '#FFFFFF', fontFamily: 'Georgia' });
+      });
+
+      test('POST /theme/:themeName/fork - should create a fork with only its overrides', async () => {
+        const response = await request(app)
+          .post(`/theme/${encodeURIComponent(parentName)}/fork`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: forkName, primaryColor: '#993366', modes: { dark: { accent: '#EE99BB' } } });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.parentId).toBeDefined();
+        expect(response.body.data.primaryColor).toBe('#993366');
+        expect(response.body.data.secondaryColor).toBe('#FFFFFF');
+        expect(response.body.data.fontFamily).toBe('Georgia');
+        expect(response.body.data.overrides.map(override => override.path).sort()).toEqual(['modes.dark.accent', 'primaryColor']);
+      });
+
+      test('POST /theme/:themeName/fork - should reject unknown fields and missing names', async () => {
+        const unknownField = await request(app)
+          .post(`/theme/${encodeURIComponent(parentName)}/fork`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: 'Bad Fork ' + Date.now(), shadow: '#000000' });
+
+        expect(unknownField.status).toBe(400);
+        expect(unknownField.body.details[0]).toContain('shadow');
+
+        const missingName = await request(app)
+          .post(`/theme/${encodeURIComponent(parentName)}/fork`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ primaryColor: '#993366' });
+
+        expect(missingName.status).toBe(400);
+        expect(missingName.body.details).toContain('themeName is required');
+      });
+
+      test('POST /theme and fork - should reject names that differ only in case', async () => {
+        const created = await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: parentName.toLowerCase(), primaryColor: '#336699', secondaryColor: '#FFFFFF', fontFamily: 'Georgia' });
+
+        expect(created.status).toBe(409);
+        expect(created.body.error).toBe('Duplicate Entry');
+
+        const forked = await request(app)
+          .post(`/theme/${encodeURIComponent(parentName)}/fork`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: forkName.toUpperCase() });
+
+        expect(forked.status).toBe(409);
+      });
+
+      test('PUT /theme/:themeName - should pass parent changes to forks that did not override them', async () => {
+        const response = await request(app)
+          .put(`/theme/${encodeURIComponent(parentName)}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ primaryColor: '#112233', secondaryColor: '#EEEEEE', typography: { headingFont: 'Verdana' } });
+
+        expect(response.status).toBe(200);
+        expect(response.body.forksUpdated).toBe(1);
+
+        const fork = await request(app).get(`/theme/${encodeURIComponent(forkName)}`);
+        expect(fork.body.data.primaryColor).toBe('#993366');
+        expect(fork.body.data.secondaryColor).toBe('#EEEEEE');
+        expect(fork.body.data.typography.headingFont).toBe('Verdana');
+        expect(fork.body.data.modes.dark.accent).toBe('#EE99BB');
+        expect(fork.body.data.parentId.themeName).toBe(parentName);
+      });
+
+      test('PUT /theme/:themeName - should let a fork inherit an overridden field again', async () => {
+        const response = await request(app)
+          .put(`/theme/${encodeURIComponent(forkName)}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ inherit: ['primaryColor'], radius: { large: 16 } });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.primaryColor).toBe('#112233');
+        expect(response.body.data.radius.large).toBe(16);
+        expect(response.body.data.overrides.map(override => override.path)).not.toContain('primaryColor');
+      });
+
+      test('GET /theme/:themeName - should match the whole name, ignoring case', async () => {
+        const exact = await request(app).get(`/theme/${encodeURIComponent(parentName.toUpperCase())}`);
+        expect(exact.status).toBe(200);
+        expect(exact.body.data.themeName).toBe(parentName);
+
+        const prefix = await request(app).get(`/theme/${encodeURIComponent(parentName.slice(0, -3))}`);
+        expect(prefix.status).toBe(404);
+      });
+
+      test('PUT /theme/:themeName - should save nothing when a fork fails strict contrast', async () => {
+        const contrastFork = 'Contrast Fork ' + Date.now();
+        const fork = await request(app)
+          .post(`/theme/${encodeURIComponent(parentName)}/fork`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName: contrastFork, primaryColor: '#808080' });
+        expect(fork.status).toBe(201);
+
+        // #112233 on white passes AA for the parent; the fork's #808080 does not
+        const response = await request(app)
+          .put(`/theme/${encodeURIComponent(parentName.toLowerCase())}`)
+          .query({ strict: 'true' })
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ secondaryColor: '#FFFFFF' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details.every(detail => detail.startsWith(`Fork "${contrastFork}"`))).toBe(true);
+
+        const parent = await request(app).get(`/theme/${encodeURIComponent(parentName)}`);
+        expect(parent.body.data.secondaryColor).toBe('#EEEEEE');
+      });
+    });
+
+    // USER ENDPOINTS TESTS
+    describe('User Collection CRUD', () => {
+      const testUser = {
+        username: 'testuser' + Date.now(),
+        email: `test${Date.now()}@example.com`,
+        fullName: 'Test User Final',
+        bio: 'Final project test user'
+      };
+
+      test('GET /user - should retrieve all users', async () => {
+        const response = await request(app).get('/user');
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(Array.isArray(response.body.data)).toBe(true);
+      });
+
+      test('POST /user - should create new user', async () => {
+        const response = await request(app)
+          .post('/user')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(testUser);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe('User created successfully');
+        expect(response.body.data.username).toBe(testUser.username);
+        
+        testUserId = response.body.data._id;
+      });
+
+      test('GET /user/:username - should get user by username', async () => {
+        const response = await request(app)
+          .get(`/user/${testUser.username}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.username).toBe(testUser.username);
+      });
+
+      test('PUT /user/:username - should update user', async () => {
+        const updateData = { bio: 'Updated bio for final project' };
+
+        const response = await request(app)
+          .put(`/user/${testUser.username}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.bio).toBe(updateData.bio);
+      });
+
+      test('PUT /user/:username - should reject a non-string email', async () => {
+        const response = await request(app)
+          .put(`/user/${testUser.username}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ email: 1 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('email must be a string');
+      });
+
+      test('DELETE /user/:username - should soft delete user', async () => {
+        const response = await request(app)
+          .delete(`/user/${testUser.username}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+      });
+    });
+
+    // PROJECT ENDPOINTS TESTS
+    describe('Project Collection CRUD', () => {
+      const testProject = {
+        title: 'Final Project Test ' + Date.now(),
+        description: 'Comprehensive test project for final submission with detailed description',
+        technologies: ['Node.js', 'Express', 'MongoDB', 'Jest', 'Swagger'],
+        githubUrl: 'https://github.com/testuser/final-project',
+        liveUrl: 'https://final-project.netlify.app',
+        status: 'completed'
+      };
+
+      test('GET /project - should retrieve all projects', async () => {
+        const response = await request(app).get('/project');
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(Array.isArray(response.body.data)).toBe(true);
+      });
+
+      test('POST /project - should create project with authentication', async () => {
+        const authResponse = await request(app)
+          .post('/auth/login')
+          .send(testCredentials);
+        
+        const freshToken = authResponse.body.token;
+
+        // Create user for project if not exists
+        if (!testUserId) {
+          const userResponse = await request(app)
+            .post('/user')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({
+              username: 'projectuser' + Date.now(),
+              email: `projectuser${Date.now()}@example.com`,
+              fullName: 'Project User'
+            });
+          testUserId = userResponse.body.data._id;
+        }
+
+        testProject.userId = testUserId;
+
+        const response = await request(app)
+          .post('/project')
+          .set('Authorization', `Bearer ${freshToken}`)
+          .send(testProject);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe('Project created successfully');
+        expect(response.body.data.title).toBe(testProject.title);
+        
+        testProjectId = response.body.data._id;
+      });
+
+      test('GET /project/:id - should get project by ID', async () => {
+        if (!testProjectId) return;
+
+        const response = await request(app)
+          .get(`/project/${testProjectId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data._id).toBe(testProjectId);
+      });
+
+      test('PUT /project/:id - should update project', async () => {
+        if (!testProjectId) return;
+
+        const updateData = {
+          status: 'in-progress',
+          description: 'Updated project description for final testing'
+        };
+
+        const response = await request(app)
+          .put(`/project/${testProjectId}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.status).toBe(updateData.status);
+      });
+
+      test('PUT /project/:id - should ignore soft-delete fields', async () => {
+        if (!testProjectId) return;
+
+        const response = await request(app)
+          .put(`/project/${testProjectId}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ isActive: false, createdAt: '2000-01-01' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.isActive).toBe(true);
+        expect(response.body.data.createdAt).not.toContain('2000-01-01');
+      });
+
+      test('DELETE /project/:id - should soft delete project', async () => {
+        if (!testProjectId) return;
+
+        const response = await request(app)
+          .delete(`/project/${testProjectId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+      });
+    });
+
+    // SKILL ENDPOINTS TESTS
+    describe('Skill Collection CRUD', () => {
+      const testSkill = {
+        name: 'Final Testing Skill ' + Date.now(),
+        category: 'backend',
+        description: 'Skill for comprehensive API testing'
+      };
+
+      test('GET /skill - should retrieve all skills', async () => {
+        const response = await request(app).get('/skill');
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(Array.isArray(response.body.data)).toBe(true);
+      });
+
+      test('POST /skill - should create new skill', async () => {
+        const response = await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(testSkill);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.message).toBe('Skill created successfully');
+        expect(response.body.data.name).toBe(testSkill.name);
+        
+        testSkillName = testSkill.name;
+      });
+
+      test('GET /skill/:name - should get skill by name', async () => {
+        const response = await request(app)
+          .get(`/skill/${encodeURIComponent(testSkillName)}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.name).toBe(testSkillName);
+      });
+
+      test('GET /skill?category=backend - should filter skills by category', async () => {
+        const response = await request(app)
+          .get('/skill')
+          .query({ category: 'backend' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.filter).toBeDefined();
+        
+        // Check that all returned skills are backend category
+        response.body.data.forEach(skill => {
+          expect(skill.category).toBe('backend');
+        });
+      });
+
+      test('PUT /skill/:name - should update skill', async () => {
+        const updateData = {
+          description: 'Updated skill description for final testing'
+        };
+
+        const response = await request(app)
+          .put(`/skill/${encodeURIComponent(testSkillName)}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(updateData);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.description).toBe(updateData.description);
+      });
+
+      test('DELETE /skill/:name - should soft delete skill', async () => {
+        const response = await request(app)
+          .delete(`/skill/${encodeURIComponent(testSkillName)}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+      });
+    });
+
+    describe('User Skill Proficiency', () => {
+      const skillUser = {
+        username: 'skilled' + Date.now(),
+        email: `skilled${Date.now()}@example.com`,
+        fullName: 'Skilled User',
+        password: 'skilled-password'
+      };
+      const catalogSkillName = 'ProficiencySkill' + Date.now();
+      let skillUserToken;
+
+      beforeAll(async () => {
+        const registration = await request(app).post('/auth/register').send(skillUser);
+        skillUserToken = registration.body.token;
+
+        await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: catalogSkillName, category: 'database' });
+      });
+
+      test('POST /user/:username/skills - should require authentication', async () => {
+        const response = await request(app)
+          .post(`/user/${skillUser.username}/skills`)
+          .send({ skillName: catalogSkillName, proficiencyLevel: 3 });
+
+        expect(response.status).toBe(401);
+      });
+
+      test('POST /user/:username/skills - should reject an out-of-range proficiency', async () => {
+        const response = await request(app)
+          .post(`/user/${skillUser.username}/skills`)
+          .set('Authorization', `Bearer ${skillUserToken}`)
+          .send({ skillName: catalogSkillName, proficiencyLevel: 6 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation Error');
+      });
+
+      test('POST /user/:username/skills - should reject skills missing from the catalog', async () => {
+        const response = await request(app)
+          .post(`/user/${skillUser.username}/skills`)
+          .set('Authorization', `Bearer ${skillUserToken}`)
+          .send({ skillName: 'No Such Skill ' + Date.now(), proficiencyLevel: 3 });
+
+        expect(response.status).toBe(400);
+      });
+
+      test('POST /user/:username/skills - should add a catalog skill with the user\'s proficiency', async () => {
+        const response = await request(app)
+          .post(`/user/${skillUser.username}/skills`)
+          .set('Authorization', `Bearer ${skillUserToken}`)
+          .send({ skillName: catalogSkillName.toLowerCase(), proficiencyLevel: 4, yearsOfExperience: 3, isHighlighted: true });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.proficiencyLevel).toBe(4);
+        expect(response.body.data.skillId.name).toBe(catalogSkillName);
+      });
+
+      test('POST /user/:username/skills - should not add the same skill twice', async () => {
+        const response = await request(app)
+          .post(`/user/${skillUser.username}/skills`)
+          .set('Authorization', `Bearer ${skillUserToken}`)
+          .send({ skillName: catalogSkillName, proficiencyLevel: 2 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Duplicate Entry');
+      });
+
+      test('POST /user/:username/skills - should not allow editing another user\'s skills', async () => {
+        const other = await request(app).post('/auth/register').send({
+          username: 'unskilled' + Date.now(),
+          email: `unskilled${Date.now()}@example.com`,
+          fullName: 'Other User',
+          password: 'other-password'
+        });
+
+        const response = await request(app)
+          .post(`/user/${skillUser.username}/skills`)
+          .set('Authorization', `Bearer ${other.body.token}`)
+          .send({ skillName: catalogSkillName, proficiencyLevel: 1 });
+
+        expect(response.status).toBe(403);
+      });
+
+      test('GET /user/:username/skills - should list the user\'s skills publicly', async () => {
+        const response = await request(app).get(`/user/${skillUser.username}/skills`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.count).toBe(1);
+        expect(response.body.data[0].skillId.category).toBe('database');
+        expect(response.body.data[0].isHighlighted).toBe(true);
+      });
+
+      test('GET /skill?proficiencyLevel= - should filter the catalog by user proficiency', async () => {
+        const response = await request(app)
+          .get('/skill')
+          .query({ proficiencyLevel: 4 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(skill => skill.name)).toContain(catalogSkillName);
+      });
+
+      test('PUT /user/:username/skills/:skillName - should update the user\'s proficiency', async () => {
+        const response = await request(app)
+          .put(`/user/${skillUser.username}/skills/${encodeURIComponent(catalogSkillName)}`)
+          .set('Authorization', `Bearer ${skillUserToken}`)
+          .send({ proficiencyLevel: 5, lastUsedAt: '2024-06-01' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.proficiencyLevel).toBe(5);
+        expect(response.body.data.yearsOfExperience).toBe(3);
+      });
+
+      test('DELETE /user/:username/skills/:skillName - should remove the skill from the user only', async () => {
+        const response = await request(app)
+          .delete(`/user/${skillUser.username}/skills/${encodeURIComponent(catalogSkillName)}`)
+          .set('Authorization', `Bearer ${skillUserToken}`);
+
+        expect(response.status).toBe(200);
+
+        const list = await request(app).get(`/user/${skillUser.username}/skills`);
+        expect(list.body.count).toBe(0);
+
+        const catalog = await request(app).get(`/skill/${encodeURIComponent(catalogSkillName)}`);
+        expect(catalog.status).toBe(200);
+      });
+    });
+
+    describe('Skill Aliases', () => {
+      const stamp = Date.now();
+      const canonicalName = `Canonical${stamp}`;
+      const alias = `Alias${stamp}`;
+
+      test('POST /skill - should create a skill with aliases', async () => {
+        const response = await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: canonicalName, category: 'backend', aliases: [alias] });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.aliases).toEqual([alias]);
+        expect(response.body.data.lookupKeys).toBeUndefined();
+      });
+
+      test('GET /skill/:name - should find a skill by alias and normalized name', async () => {
+        const byAlias = await request(app).get(`/skill/${alias.toLowerCase()}`);
+        expect(byAlias.status).toBe(200);
+        expect(byAlias.body.data.name).toBe(canonicalName);
+
+        const normalized = await request(app).get(`/skill/${encodeURIComponent(`canonical-${stamp}.js`)}`);
+        expect(normalized.status).toBe(200);
+        expect(normalized.body.data.name).toBe(canonicalName);
+      });
+
+      test('GET /skill/:name - should not match on a prefix', async () => {
+        const response = await request(app).get('/skill/Canonical');
+
+        expect(response.status).toBe(404);
+      });
+
+      test('POST /skill - should reject a name that collides with an existing alias', async () => {
+        const response = await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: `${alias}.js`, category: 'backend' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Duplicate Entry');
+        expect(response.body.message).toContain(canonicalName);
+      });
+
+      test('PUT /skill/:name - should replace aliases through an alias lookup', async () => {
+        const response = await request(app)
+          .put(`/skill/${alias}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ aliases: [`Renamed${stamp}`] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.aliases).toEqual([`Renamed${stamp}`]);
+
+        const oldAlias = await request(app).get(`/skill/${alias}`);
+        expect(oldAlias.status).toBe(404);
+      });
+
+      test('POST /skill - should accept a single alias string and reject other alias values', async () => {
+        const single = await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: `Single${stamp}`, category: 'backend', aliases: `SingleAlias${stamp}` });
+
+        expect(single.status).toBe(201);
+        expect(single.body.data.aliases).toEqual([`SingleAlias${stamp}`]);
+
+        const invalid = await request(app)
+          .put(`/skill/Single${stamp}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ aliases: [{ name: 'nested' }] });
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details).toEqual(['aliases must be an array of strings']);
+      });
+
+      test('POST /project - should resolve technologies through aliases', async () => {
+        const response = await request(app)
           .post('/project')
-          .set('Authorization', `Bearer ${freshToken}`)
-          .send(testProject);
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            title: 'Alias Project',
+            description: 'Uses a skill by its alias',
+            technologies: [`renamed ${stamp}`]
+          });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.skills.map(skill => skill.name)).toEqual([canonicalName]);
+      });
+    });
+
+    describe('Project Skill Links', () => {
+      const linkedSkillName = 'LinkedSkill' + Date.now();
+      const newTechnology = 'BrandNewTech' + Date.now();
+      let linkToken;
+      let linkedProjectId;
+
+      beforeAll(async () => {
+        const registration = await request(app).post('/auth/register').send({
+          username: 'linker' + Date.now(),
+          email: `linker${Date.now()}@example.com`,
+          fullName: 'Project Linker',
+          password: 'linker-password'
+        });
+        linkToken = registration.body.token;
+
+        await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: linkedSkillName, category: 'frontend' });
+      });
+
+      test('POST /project - should link technologies to catalog skills and report unknown ones', async () => {
+        const response = await request(app)
+          .post('/project')
+          .set('Authorization', `Bearer ${linkToken}`)
+          .send({
+            title: 'Linked Project',
+            description: 'Technologies resolve to the skill catalog',
+            technologies: [linkedSkillName.toUpperCase(), newTechnology]
+          });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.skills.map(skill => skill.name)).toEqual([linkedSkillName]);
+        expect(response.body.unresolvedTechnologies).toEqual([newTechnology]);
+        expect(response.body.createdSkills).toEqual([]);
+        linkedProjectId = response.body.data._id;
+      });
+
+      test('PUT /project/:id - should add missing technologies to the catalog when asked', async () => {
+        const response = await request(app)
+          .put(`/project/${linkedProjectId}`)
+          .set('Authorization', `Bearer ${linkToken}`)
+          .send({ technologies: [linkedSkillName, newTechnology], createMissingSkills: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.createdSkills).toEqual([newTechnology]);
+        expect(response.body.unresolvedTechnologies).toEqual([]);
+        expect(response.body.data.skills).toHaveLength(2);
+
+        const created = await request(app).get(`/skill/${encodeURIComponent(newTechnology)}`);
+        expect(created.status).toBe(200);
+        expect(created.body.data.category).toBe('other');
+      });
+
+      test('GET /project?skill= - should filter projects by linked skill', async () => {
+        const response = await request(app)
+          .get('/project')
+          .query({ skill: linkedSkillName.toLowerCase() })
+          .set('Authorization', `Bearer ${linkToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(project => project._id)).toContain(linkedProjectId);
+
+        const unknown = await request(app)
+          .get('/project')
+          .query({ skill: 'No Such Skill ' + Date.now() });
+        expect(unknown.body.count).toBe(0);
+      });
+
+      test('GET /skill/:name/projects - should list the projects that use a skill', async () => {
+        const response = await request(app)
+          .get(`/skill/${encodeURIComponent(linkedSkillName)}/projects`)
+          .set('Authorization', `Bearer ${linkToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.skill.name).toBe(linkedSkillName);
+        expect(response.body.data.map(project => project._id)).toContain(linkedProjectId);
+      });
+
+      test('GET /skill/:name/projects - should return 404 for an unknown skill', async () => {
+        const response = await request(app).get('/skill/NoSuchSkill' + Date.now() + '/projects');
+
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('Experience Collection CRUD', () => {
+      const experienceSkillName = 'ExperienceSkill' + Date.now();
+      let experienceToken;
+      let experienceUserId;
+      let pastEntryId;
+      let currentEntryId;
+
+      beforeAll(async () => {
+        const registration = await request(app).post('/auth/register').send({
+          username: 'worker' + Date.now(),
+          email: `worker${Date.now()}@example.com`,
+          fullName: 'Experienced Worker',
+          password: 'worker-password'
+        });
+        experienceToken = registration.body.token;
+        experienceUserId = registration.body.data._id;
+
+        await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: experienceSkillName, category: 'backend' });
+      });
+
+      test('POST /experience - should require authentication', async () => {
+        const response = await request(app)
+          .post('/experience')
+          .send({ company: 'Acme', role: 'Engineer', startDate: '2020-01-01' });
+
+        expect(response.status).toBe(401);
+      });
+
+      test('POST /experience - should require company, role and start date', async () => {
+        const response = await request(app)
+          .post('/experience')
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({ location: 'Remote' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual(expect.arrayContaining([
+          'company is required',
+          'role is required',
+          'startDate is required'
+        ]));
+      });
+
+      test('POST /experience - should reject an end date before the start date', async () => {
+        const response = await request(app)
+          .post('/experience')
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({ company: 'Acme', role: 'Engineer', startDate: '2020-01-01', endDate: '2019-01-01' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('End date cannot be before the start date');
+      });
+
+      test('POST /experience - should reject skills missing from the catalog', async () => {
+        const response = await request(app)
+          .post('/experience')
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({ company: 'Acme', role: 'Engineer', startDate: '2020-01-01', skills: ['No Such Skill ' + Date.now()] });
+
+        expect(response.status).toBe(400);
+      });
+
+      test('POST /experience - should create past and current entries', async () => {
+        const past = await request(app)
+          .post('/experience')
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({
+            company: 'First Company',
+            role: 'Junior Developer',
+            startDate: '2016-01-01',
+            endDate: '2019-12-31',
+            skills: [experienceSkillName.toLowerCase()]
+          });
+
+        expect(past.status).toBe(201);
+        expect(past.body.data.skills.map(skill => skill.name)).toEqual([experienceSkillName]);
+        pastEntryId = past.body.data._id;
+
+        const current = await request(app)
+          .post('/experience')
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({ company: 'Second Company', role: 'Senior Developer', startDate: '2020-01-01', endDate: 'present' });
+
+        expect(current.status).toBe(201);
+        expect(current.body.data.endDate).toBeNull();
+        currentEntryId = current.body.data._id;
+      });
+
+      test('GET /experience?userId= - should return a reverse-chronological timeline', async () => {
+        const response = await request(app)
+          .get('/experience')
+          .query({ userId: experienceUserId });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(entry => entry._id)).toEqual([currentEntryId, pastEntryId]);
+      });
+
+      test('GET /experience?current=true - should return only current positions', async () => {
+        const response = await request(app)
+          .get('/experience')
+          .query({ userId: experienceUserId, current: 'true' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(entry => entry._id)).toEqual([currentEntryId]);
+      });
+
+      test('PUT /experience/:id - should end a current position', async () => {
+        const response = await request(app)
+          .put(`/experience/${currentEntryId}`)
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({ endDate: '2024-06-30', description: 'Moved on to new challenges' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.endDate).toContain('2024-06-30');
+      });
+
+      test('PUT /experience/:id - should not allow editing another user\'s entry', async () => {
+        const other = await request(app).post('/auth/register').send({
+          username: 'notworker' + Date.now(),
+          email: `notworker${Date.now()}@example.com`,
+          fullName: 'Other User',
+          password: 'other-password'
+        });
+
+        const response = await request(app)
+          .put(`/experience/${pastEntryId}`)
+          .set('Authorization', `Bearer ${other.body.token}`)
+          .send({ role: 'Chief Everything Officer' });
+
+        expect(response.status).toBe(403);
+      });
+
+      test('PUT /experience/:id - should ignore ownership and soft-delete fields', async () => {
+        const response = await request(app)
+          .put(`/experience/${pastEntryId}`)
+          .set('Authorization', `Bearer ${experienceToken}`)
+          .send({ isActive: false, userId: testUserId, description: 'Still here' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.isActive).toBe(true);
+        expect(response.body.data.userId._id).toBe(experienceUserId);
+      });
+
+      test('DELETE /experience/:id - should soft delete the entry', async () => {
+        const response = await request(app)
+          .delete(`/experience/${pastEntryId}`)
+          .set('Authorization', `Bearer ${experienceToken}`);
+
+        expect(response.status).toBe(200);
+
+        const deleted = await request(app).get(`/experience/${pastEntryId}`);
+        expect(deleted.status).toBe(404);
+      });
+    });
+
+    describe('Education Collection CRUD', () => {
+      let studentToken;
+      let studentId;
+      let degreeId;
+      let ongoingId;
+
+      beforeAll(async () => {
+        const registration = await request(app).post('/auth/register').send({
+          username: 'student' + Date.now(),
+          email: `student${Date.now()}@example.com`,
+          fullName: 'Eager Student',
+          password: 'student-password'
+        });
+        studentToken = registration.body.token;
+        studentId = registration.body.data._id;
+      });
+
+      test('POST /education - should require institution, degree and start date', async () => {
+        const response = await request(app)
+          .post('/education')
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ fieldOfStudy: 'Computer Science' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual(expect.arrayContaining([
+          'institution is required',
+          'degree is required',
+          'startDate is required'
+        ]));
+      });
+
+      test('POST /education - should create completed and ongoing entries', async () => {
+        const degree = await request(app)
+          .post('/education')
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ institution: 'State University', degree: 'BSc', fieldOfStudy: 'Computer Science', startDate: '2014-09-01', endDate: '2018-06-30' });
+
+        expect(degree.status).toBe(201);
+        degreeId = degree.body.data._id;
+
+        const ongoing = await request(app)
+          .post('/education')
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ institution: 'Online Institute', degree: 'MSc', startDate: '2022-09-01', endDate: 'present' });
+
+        expect(ongoing.status).toBe(201);
+        expect(ongoing.body.data.endDate).toBeNull();
+        ongoingId = ongoing.body.data._id;
+      });
+
+      test('GET /education?userId= - should list ongoing studies first', async () => {
+        const response = await request(app)
+          .get('/education')
+          .query({ userId: studentId });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(entry => entry._id)).toEqual([ongoingId, degreeId]);
+      });
+
+      test('PUT /education/:id - should reject an end date before the start date', async () => {
+        const response = await request(app)
+          .put(`/education/${degreeId}`)
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ endDate: '2010-01-01' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('End date cannot be before the start date');
+      });
+
+      test('PUT /education/:id - should ignore soft-delete fields', async () => {
+        const response = await request(app)
+          .put(`/education/${degreeId}`)
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ isActive: false, fieldOfStudy: 'Software Engineering' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.isActive).toBe(true);
+
+        const entry = await request(app).get(`/education/${degreeId}`);
+        expect(entry.status).toBe(200);
+      });
+
+      test('GET /education/:id - should reject an invalid ID', async () => {
+        const response = await request(app).get('/education/not-an-id');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid ID format');
+      });
+
+      test('DELETE /education/:id - should soft delete the entry', async () => {
+        const response = await request(app)
+          .delete(`/education/${degreeId}`)
+          .set('Authorization', `Bearer ${studentToken}`);
+
+        expect(response.status).toBe(200);
+
+        const deleted = await request(app).get(`/education/${degreeId}`);
+        expect(deleted.status).toBe(404);
+      });
+    });
+
+    describe('Certification Collection CRUD', () => {
+      const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+      let certifiedToken;
+      let expiringId;
+      let laterId;
+      let expiredId;
+
+      beforeAll(async () => {
+        const registration = await request(app).post('/auth/register').send({
+          username: 'certified' + Date.now(),
+          email: `certified${Date.now()}@example.com`,
+          fullName: 'Certified Person',
+          password: 'certified-password'
+        });
+        certifiedToken = registration.body.token;
+      });
+
+      test('POST /certification - should reject an expiry date before the issue date', async () => {
+        const response = await request(app)
+          .post('/certification')
+          .set('Authorization', `Bearer ${certifiedToken}`)
+          .send({ name: 'Backwards Cert', issuer: 'Issuer', issueDate: '2023-01-01', expiryDate: '2022-01-01' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('Expiry date cannot be before the issue date');
+      });
+
+      test('POST /certification - should create certifications with expiry status', async () => {
+        const create = (name, expiryDate) => request(app)
+          .post('/certification')
+          .set('Authorization', `Bearer ${certifiedToken}`)
+          .send({
+            name,
+            issuer: 'Cloud Vendor',
+            credentialId: 'CRED-' + Date.now(),
+            issueDate: daysFromNow(-700),
+            expiryDate,
+            verificationUrl: 'https://example.com/verify'
+          });
+
+        const expiring = await create('Expiring Cert', daysFromNow(10));
+        expect(expiring.status).toBe(201);
+        expect(expiring.body.data.expiryStatus).toBe('expiring');
+        expiringId = expiring.body.data._id;
+
+        const later = await create('Later Cert', daysFromNow(200));
+        expect(later.body.data.expiryStatus).toBe('valid');
+        laterId = later.body.data._id;
+
+        const expired = await create('Expired Cert', daysFromNow(-5));
+        expect(expired.body.data.expiryStatus).toBe('expired');
+        expect(expired.body.data.daysUntilExpiry).toBeLessThan(0);
+        expiredId = expired.body.data._id;
+      });
+
+      test('GET /certification?expiringWithin=30d - should return only credentials about to lapse', async () => {
+        const response = await request(app)
+          .get('/certification')
+          .set('Authorization', `Bearer ${certifiedToken}`)
+          .query({ mine: 'true', expiringWithin: '30d' });
+
+        expect(response.status).toBe(200);
+        const ids = response.body.data.map(certification => certification._id);
+        expect(ids).toContain(expiringId);
+        expect(ids).not.toContain(laterId);
+        expect(ids).not.toContain(expiredId);
+        response.body.data.forEach(certification => {
+          expect(certification.expiryStatus).toBe('expiring');
+        });
+      });
 
-        expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe('Project created successfully');
-        expect(response.body.data.title).toBe(testProject.title);
-        
-        testProjectId = response.body.data._id;
+      test('GET /certification?expiringWithin=1y - should widen the window', async () => {
+        const response = await request(app)
+          .get('/certification')
+          .set('Authorization', `Bearer ${certifiedToken}`)
+          .query({ mine: 'true', expiringWithin: '1y' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(certification => certification._id)).toEqual(
+          expect.arrayContaining([expiringId, laterId])
+        );
       });
 
-      test('GET /project/:id - should get project by ID', async () => {
-        if (!testProjectId) return;
+      test('GET /certification?expiringWithin= - should reject an invalid window', async () => {
+        const response = await request(app)
+          .get('/certification')
+          .query({ expiringWithin: 'soon' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation Error');
+      });
 
+      test('PUT /certification/:id - should renew a certification', async () => {
         const response = await request(app)
-          .get(`/project/${testProjectId}`);
+          .put(`/certification/${expiredId}`)
+          .set('Authorization', `Bearer ${certifiedToken}`)
+          .send({ expiryDate: daysFromNow(365) });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data._id).toBe(testProjectId);
+        expect(response.body.data.expiryStatus).toBe('valid');
       });
 
-      test('PUT /project/:id - should update project', async () => {
-        if (!testProjectId) return;
+      test('DELETE /certification/:id - should soft delete the certification', async () => {
+        const response = await request(app)
+          .delete(`/certification/${laterId}`)
+          .set('Authorization', `Bearer ${certifiedToken}`);
 
-        const updateData = {
-          status: 'in-progress',
-          description: 'Updated project description for final testing'
-        };
+        expect(response.status).toBe(200);
+
+        const deleted = await request(app).get(`/certification/${laterId}`);
+        expect(deleted.status).toBe(404);
+      });
+    });
+
+    describe('User Theme Selection', () => {
+      const themeName = 'Picked Theme ' + Date.now();
+      let pickerToken;
+      let pickerUsername;
+
+      beforeAll(async () => {
+        pickerUsername = 'picker' + Date.now();
+        const registration = await request(app).post('/auth/register').send({
+          username: pickerUsername,
+          email: `${pickerUsername}@example.com`,
+          fullName: 'Theme Picker',
+          password: 'picker-password'
+        });
+        pickerToken = registration.body.token;
+
+        await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName, primaryColor: '#102030', secondaryColor: '#F0E0D0', fontFamily: 'Roboto' });
+      });
+
+      test('GET /user/:username/theme - should use the default theme before a selection', async () => {
+        const response = await request(app).get(`/user/${pickerUsername}/theme`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.source).not.toBe('selected');
+        expect(response.body.selectedThemeDeleted).toBe(false);
+      });
 
+      test('PUT /user/:username/theme - should reject an unknown theme', async () => {
         const response = await request(app)
-          .put(`/project/${testProjectId}`)
-          .send(updateData);
+          .put(`/user/${pickerUsername}/theme`)
+          .set('Authorization', `Bearer ${pickerToken}`)
+          .send({ themeName: 'No Such Theme' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('Theme not found');
+      });
+
+      test("PUT /user/:username/theme - should not change another user's theme", async () => {
+        const registration = await request(app).post('/auth/register').send({
+          username: 'otherpicker' + Date.now(),
+          email: `otherpicker${Date.now()}@example.com`,
+          fullName: 'Other Picker',
+          password: 'other-password'
+        });
+
+        const response = await request(app)
+          .put(`/user/${pickerUsername}/theme`)
+          .set('Authorization', `Bearer ${registration.body.token}`)
+          .send({ themeName });
+
+        expect(response.status).toBe(403);
+      });
+
+      test('PUT /user/:username/theme - should select a theme by name', async () => {
+        const response = await request(app)
+          .put(`/user/${pickerUsername}/theme`)
+          .set('Authorization', `Bearer ${pickerToken}`)
+          .send({ themeName: themeName.toLowerCase() });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.status).toBe(updateData.status);
+        expect(response.body.source).toBe('selected');
+        expect(response.body.data.themeName).toBe(themeName);
+
+        const effective = await request(app).get(`/user/${pickerUsername}/theme`);
+        expect(effective.body.data.themeName).toBe(themeName);
       });
 
-      test('DELETE /project/:id - should soft delete project', async () => {
-        if (!testProjectId) return;
+      test('GET /theme/:themeName/usage - should count users of the theme', async () => {
+        const response = await request(app).get(`/theme/${encodeURIComponent(themeName)}/usage`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.users).toBe(1);
+        expect(response.body.data.isActive).toBe(true);
+      });
+
+      test('GET /user/:username/theme - should fall back once the selected theme is deleted', async () => {
+        await request(app)
+          .delete(`/theme/${encodeURIComponent(themeName)}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        const response = await request(app).get(`/user/${pickerUsername}/theme`);
+
+        expect(response.status).toBe(200);
+        expect(['default', 'built-in']).toContain(response.body.source);
+        expect(response.body.selectedThemeDeleted).toBe(true);
+
+        const usage = await request(app).get(`/theme/${encodeURIComponent(themeName)}/usage`);
+        expect(usage.body.data.isActive).toBe(false);
+        expect(usage.body.data.users).toBe(1);
+      });
 
+      test('PUT /user/:username/theme - should clear the selection with null', async () => {
         const response = await request(app)
-          .delete(`/project/${testProjectId}`);
+          .put(`/user/${pickerUsername}/theme`)
+          .set('Authorization', `Bearer ${pickerToken}`)
+          .send({ themeName: null });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
+        expect(response.body.selectedThemeDeleted).toBe(false);
       });
     });
 
-    // SKILL ENDPOINTS TESTS
-    describe('Skill Collection CRUD', () => {
-      const testSkill = {
-        name: 'Final Testing Skill ' + Date.now(),
-        category: 'backend',
-        proficiencyLevel: 5,
-        description: 'Expert level skill for comprehensive API testing'
-      };
+    describe('Media Uploads', () => {
+      // 1x1 transparent PNG
+      const pngImage = Buffer.from(
+        'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+        'base64'
+      );
+      let uploaderToken;
+      let uploaderUsername;
+      let uploadProjectId;
+      let mediaId;
+
+      beforeAll(async () => {
+        uploaderUsername = 'uploader' + Date.now();
+        const registration = await request(app).post('/auth/register').send({
+          username: uploaderUsername,
+          email: `${uploaderUsername}@example.com`,
+          fullName: 'Image Uploader',
+          password: 'uploader-password'
+        });
+        uploaderToken = registration.body.token;
 
-      test('GET /skill - should retrieve all skills', async () => {
-        const response = await request(app).get('/skill');
+        const project = await request(app)
+          .post('/project')
+          .set('Authorization', `Bearer ${uploaderToken}`)
+          .send({ title: 'Project With Images', description: 'Has an uploaded screenshot', technologies: ['Node.js'] });
+        uploadProjectId = project.body.data._id;
+      });
+
+      test('POST /project/:id/images - should store the image and add it to the gallery', async () => {
+        const response = await request(app)
+          .post(`/project/${uploadProjectId}/images`)
+          .set('Authorization', `Bearer ${uploaderToken}`)
+          .field('altText', 'Dashboard screenshot')
+          .attach('image', pngImage, { filename: 'screenshot.png', contentType: 'image/png' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.file.contentType).toBe('image/png');
+        expect(response.body.file.hash).toMatch(/^[a-f0-9]{64}$/);
+        expect(response.body.file.url).toMatch(/\/media\/[a-f0-9]{24}$/);
+        expect(response.body.data).toMatchObject({
+          type: 'image',
+          url: response.body.file.url,
+          mediaId: response.body.file._id,
+          altText: 'Dashboard screenshot',
+          isCover: true
+        });
+        mediaId = response.body.file._id;
+
+        const project = await request(app)
+          .get(`/project/${uploadProjectId}`)
+          .set('Authorization', `Bearer ${uploaderToken}`);
+        expect(project.body.data.media).toHaveLength(1);
+        expect(project.body.data.imageUrl).toBe(response.body.file.url);
+      });
+
+      test('POST /project/:id/images - should require alt text', async () => {
+        const response = await request(app)
+          .post(`/project/${uploadProjectId}/images`)
+          .set('Authorization', `Bearer ${uploaderToken}`)
+          .attach('image', pngImage, { filename: 'screenshot.png', contentType: 'image/png' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('Alt text is required for every gallery item');
+      });
+
+      test('GET /media/:id - should serve the file with an ETag', async () => {
+        const response = await request(app).get(`/media/${mediaId}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(Array.isArray(response.body.data)).toBe(true);
+        expect(response.headers['content-type']).toBe('image/png');
+        expect(response.headers.etag).toMatch(/^"[a-f0-9]{64}"$/);
+        expect(Buffer.compare(response.body, pngImage)).toBe(0);
+
+        const cached = await request(app)
+          .get(`/media/${mediaId}`)
+          .set('If-None-Match', response.headers.etag);
+        expect(cached.status).toBe(304);
       });
 
-      test('POST /skill - should create new skill', async () => {
+      test('POST /user/:username/avatar - should reuse stored content for identical uploads', async () => {
         const response = await request(app)
-          .post('/skill')
-          .send(testSkill);
+          .post(`/user/${uploaderUsername}/avatar`)
+          .set('Authorization', `Bearer ${uploaderToken}`)
+          .attach('avatar', pngImage, { filename: 'me.png', contentType: 'image/png' });
 
         expect(response.status).toBe(201);
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toBe('Skill created successfully');
-        expect(response.body.data.name).toBe(testSkill.name);
-        
-        testSkillName = testSkill.name;
+        expect(response.body.data._id).toBe(mediaId);
+
+        const user = await request(app).get(`/user/${uploaderUsername}`);
+        expect(user.body.data.profilePicture).toBe(response.body.data.url);
       });
 
-      test('GET /skill/:name - should get skill by name', async () => {
+      test('POST /user/:username/avatar - should reject files whose content is not an image', async () => {
         const response = await request(app)
-          .get(`/skill/${encodeURIComponent(testSkillName)}`);
+          .post(`/user/${uploaderUsername}/avatar`)
+          .set('Authorization', `Bearer ${uploaderToken}`)
+          .attach('avatar', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'), { filename: 'fake.png', contentType: 'image/png' });
+
+        expect(response.status).toBe(415);
+      });
+
+      test('POST /project/:id/images - should require a file', async () => {
+        const response = await request(app)
+          .post(`/project/${uploadProjectId}/images`)
+          .set('Authorization', `Bearer ${uploaderToken}`)
+          .field('caption', 'no file');
+
+        expect(response.status).toBe(400);
+      });
+
+      test("POST /project/:id/images - should not upload to another user's project", async () => {
+        const registration = await request(app).post('/auth/register').send({
+          username: 'otheruploader' + Date.now(),
+          email: `otheruploader${Date.now()}@example.com`,
+          fullName: 'Other Uploader',
+          password: 'other-password'
+        });
+
+        const response = await request(app)
+          .post(`/project/${uploadProjectId}/images`)
+          .set('Authorization', `Bearer ${registration.body.token}`)
+          .attach('image', pngImage, { filename: 'screenshot.png', contentType: 'image/png' });
+
+        expect(response.status).toBe(403);
+      });
+
+      test('GET /media/:id - should return 404 for unknown media', async () => {
+        const response = await request(app).get('/media/507f1f77bcf86cd799439011');
+
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('Project Media Gallery', () => {
+      let galleryToken;
+      let galleryProjectId;
+      let imageItemId;
+      let videoItemId;
+      let embedItemId;
+
+      beforeAll(async () => {
+        const username = 'gallery' + Date.now();
+        const registration = await request(app).post('/auth/register').send({
+          username,
+          email: `${username}@example.com`,
+          fullName: 'Gallery Owner',
+          password: 'gallery-password'
+        });
+        galleryToken = registration.body.token;
+      });
+
+      test('POST /project - should move imageUrl into the gallery', async () => {
+        const response = await request(app)
+          .post('/project')
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({
+            title: 'Gallery Project',
+            description: 'Project with an image, a video and an embed',
+            technologies: ['Node.js'],
+            imageUrl: 'https://example.com/gallery-project.png'
+          });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.media).toHaveLength(1);
+        expect(response.body.data.media[0]).toMatchObject({
+          type: 'image',
+          url: 'https://example.com/gallery-project.png',
+          altText: 'Gallery Project',
+          isCover: true
+        });
+        galleryProjectId = response.body.data._id;
+        imageItemId = response.body.data.media[0]._id;
+      });
+
+      test('POST /project/:id/media - should add a video as the new cover', async () => {
+        const response = await request(app)
+          .post(`/project/${galleryProjectId}/media`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({
+            type: 'video',
+            url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            altText: 'Screen recording of the checkout flow',
+            caption: 'Checkout demo',
+            isCover: true
+          });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.isCover).toBe(true);
+        videoItemId = response.body.data._id;
+
+        const project = await request(app)
+          .get(`/project/${galleryProjectId}`)
+          .set('Authorization', `Bearer ${galleryToken}`);
+        expect(project.body.data.media.map(item => item.isCover)).toEqual([false, true]);
+        // imageUrl keeps pointing at an image
+        expect(project.body.data.imageUrl).toBe('https://example.com/gallery-project.png');
+      });
+
+      test('POST /project/:id/media - should insert at a position', async () => {
+        const response = await request(app)
+          .post(`/project/${galleryProjectId}/media`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({
+            type: 'embed',
+            url: 'https://codepen.io/example/embed/abc123',
+            altText: 'Interactive demo of the landing page',
+            position: 0
+          });
+
+        expect(response.status).toBe(201);
+        embedItemId = response.body.data._id;
+
+        const project = await request(app)
+          .get(`/project/${galleryProjectId}`)
+          .set('Authorization', `Bearer ${galleryToken}`);
+        expect(project.body.data.media.map(item => item._id)).toEqual([embedItemId, imageItemId, videoItemId]);
+      });
+
+      test('POST /project/:id/media - should require alt text', async () => {
+        const response = await request(app)
+          .post(`/project/${galleryProjectId}/media`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({ type: 'video', url: 'https://vimeo.com/123456' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('Alt text is required for every gallery item');
+      });
+
+      test('POST /project/:id/media - should reject an out-of-range position', async () => {
+        const response = await request(app)
+          .post(`/project/${galleryProjectId}/media`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({ type: 'video', url: 'https://vimeo.com/123456', altText: 'Demo', position: 10 });
+
+        expect(response.status).toBe(400);
+      });
+
+      test('PUT /project/:id/media/order - should reorder the gallery', async () => {
+        const order = [videoItemId, imageItemId, embedItemId];
+        const response = await request(app)
+          .put(`/project/${galleryProjectId}/media/order`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({ order });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.name).toBe(testSkillName);
+        expect(response.body.data.map(item => item._id)).toEqual(order);
+        expect(response.body.data[0].isCover).toBe(true);
       });
 
-      test('GET /skill?category=backend - should filter skills by category', async () => {
+      test('PUT /project/:id/media/order - should require every item exactly once', async () => {
         const response = await request(app)
-          .get('/skill')
-          .query({ category: 'backend' });
+          .put(`/project/${galleryProjectId}/media/order`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({ order: [videoItemId, videoItemId, embedItemId] });
+
+        expect(response.status).toBe(400);
+      });
+
+      test('PUT /project/:id/media/:itemId - should update the caption and move the cover', async () => {
+        const response = await request(app)
+          .put(`/project/${galleryProjectId}/media/${embedItemId}`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({ caption: 'Try it live', isCover: true });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.filter).toBeDefined();
-        
-        // Check that all returned skills are backend category
-        response.body.data.forEach(skill => {
-          expect(skill.category).toBe('backend');
+        expect(response.body.data.caption).toBe('Try it live');
+        expect(response.body.data.isCover).toBe(true);
+
+        const project = await request(app)
+          .get(`/project/${galleryProjectId}`)
+          .set('Authorization', `Bearer ${galleryToken}`);
+        expect(project.body.data.media.filter(item => item.isCover).map(item => item._id)).toEqual([embedItemId]);
+      });
+
+      test('PUT /project/:id/media/:itemId - should not clear the alt text', async () => {
+        const response = await request(app)
+          .put(`/project/${galleryProjectId}/media/${imageItemId}`)
+          .set('Authorization', `Bearer ${galleryToken}`)
+          .send({ altText: '' });
+
+        expect(response.status).toBe(400);
+      });
+
+      test("PUT /project/:id/media/:itemId - should not change another user's gallery", async () => {
+        const username = 'othergallery' + Date.now();
+        const registration = await request(app).post('/auth/register').send({
+          username,
+          email: `${username}@example.com`,
+          fullName: 'Other Gallery Owner',
+          password: 'other-password'
         });
+
+        const response = await request(app)
+          .put(`/project/${galleryProjectId}/media/${imageItemId}`)
+          .set('Authorization', `Bearer ${registration.body.token}`)
+          .send({ caption: 'Not mine' });
+
+        expect(response.status).toBe(403);
       });
 
-      test('PUT /skill/:name - should update skill', async () => {
-        const updateData = {
-          proficiencyLevel: 4,
-          description: 'Updated skill description for final testing'
-        };
+      test('DELETE /project/:id/media/:itemId - should remove the item', async () => {
+        const response = await request(app)
+          .delete(`/project/${galleryProjectId}/media/${imageItemId}`)
+          .set('Authorization', `Bearer ${galleryToken}`);
+
+        expect(response.status).toBe(200);
+
+        const project = await request(app)
+          .get(`/project/${galleryProjectId}`)
+          .set('Authorization', `Bearer ${galleryToken}`);
+        expect(project.body.data.media.map(item => item._id)).toEqual([videoItemId, embedItemId]);
+        expect(project.body.data.imageUrl).toBe('https://via.placeholder.com/400x300');
+      });
 
+      test('DELETE /project/:id/media/:itemId - should return 404 for an unknown item', async () => {
         const response = await request(app)
-          .put(`/skill/${encodeURIComponent(testSkillName)}`)
-          .send(updateData);
+          .delete(`/project/${galleryProjectId}/media/${imageItemId}`)
+          .set('Authorization', `Bearer ${galleryToken}`);
+
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('Portfolio Collection CRUD', () => {
+      const portfolioOwner = {
+        username: 'folio' + Date.now(),
+        email: `folio${Date.now()}@example.com`,
+        fullName: 'Portfolio Owner',
+        password: 'portfolio-password'
+      };
+      let ownerToken;
+      let projectId;
+      let skillId;
+      let themeName;
+
+      beforeAll(async () => {
+        const registration = await request(app).post('/auth/register').send(portfolioOwner);
+        ownerToken = registration.body.token;
+
+        const project = await request(app)
+          .post('/project')
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ title: 'Portfolio Project', description: 'Shown on the portfolio', technologies: ['Node.js'] });
+        projectId = project.body.data._id;
+
+        const skill = await request(app)
+          .post('/skill')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: 'PortfolioSkill' + Date.now(), category: 'backend' });
+        skillId = skill.body.data._id;
+
+        themeName = 'Portfolio Theme ' + Date.now();
+        await request(app)
+          .post('/theme')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ themeName, primaryColor: '#112233', secondaryColor: '#445566', fontFamily: 'Verdana' });
+      });
+
+      test('POST /portfolio - should require authentication', async () => {
+        const response = await request(app)
+          .post('/portfolio')
+          .send({ title: 'Anonymous Portfolio' });
+
+        expect(response.status).toBe(401);
+      });
+
+      test('POST /portfolio - should create a portfolio for the caller', async () => {
+        const response = await request(app)
+          .post('/portfolio')
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({
+            title: 'My Developer Portfolio',
+            themeName,
+            sections: [{ type: 'about', content: 'Hello there' }, { type: 'projects' }],
+            projects: [projectId],
+            skills: [skillId]
+          });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.user.username).toBe(portfolioOwner.username);
+        expect(response.body.data.theme.themeName).toBe(themeName);
+        expect(response.body.data.sections.map(section => section.type)).toEqual(['about', 'projects']);
+      });
+
+      test('POST /portfolio - should allow only one portfolio per user', async () => {
+        const response = await request(app)
+          .post('/portfolio')
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ title: 'Second Portfolio' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Duplicate Entry');
+      });
+
+      test('PUT /portfolio/:username - should reject projects owned by someone else', async () => {
+        const response = await request(app)
+          .put(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ projects: [testProjectId] });
+
+        expect(response.status).toBe(400);
+      });
+
+      test('PUT /portfolio/:username - should match theme names case-insensitively', async () => {
+        const response = await request(app)
+          .put(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ themeName: themeName.toUpperCase() });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.proficiencyLevel).toBe(updateData.proficiencyLevel);
+        expect(response.body.data.theme.themeName).toBe(themeName);
       });
 
-      test('DELETE /skill/:name - should soft delete skill', async () => {
+      test('GET /portfolio/:username - should hide unpublished portfolios from others', async () => {
+        const anonymous = await request(app).get(`/portfolio/${portfolioOwner.username}`);
+        expect(anonymous.status).toBe(404);
+
+        const owner = await request(app)
+          .get(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`);
+        expect(owner.status).toBe(200);
+      });
+
+      test('PUT /portfolio/:username - should require a verified email to publish', async () => {
+        const unverified = await request(app)
+          .put(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ isPublished: true });
+        expect(unverified.status).toBe(403);
+
+        const message = getOutbox().filter(m => m.to === portfolioOwner.email).pop();
+        const token = message.text.match(/token=([\w-]+)/)[1];
+        await request(app).get(`/auth/verify-email?token=${token}`);
+
+        const response = await request(app)
+          .put(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ isPublished: true, tagline: 'Now public' });
+        expect(response.status).toBe(200);
+        expect(response.body.data.tagline).toBe('Now public');
+      });
+
+      test('GET /portfolio/:username - should only show visitors published projects', async () => {
+        const hidden = await request(app).get(`/portfolio/${portfolioOwner.username}`);
+        expect(hidden.body.data.projects).toEqual([]);
+
+        const owner = await request(app)
+          .get(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`);
+        expect(owner.body.data.projects).toHaveLength(1);
+
+        const published = await request(app)
+          .put(`/project/${projectId}`)
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .send({ isPublished: true });
+        expect(published.status).toBe(200);
+      });
+
+      test('GET /portfolio/:username - should return the fully resolved portfolio', async () => {
+        const response = await request(app).get(`/portfolio/${portfolioOwner.username}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.user.fullName).toBe(portfolioOwner.fullName);
+        expect(response.body.data.user).not.toHaveProperty('email');
+        expect(response.body.data.theme.primaryColor).toBe('#112233');
+        expect(response.body.data.projects[0].title).toBe('Portfolio Project');
+        expect(response.body.data.skills[0]._id).toBe(skillId);
+      });
+
+      test('GET /portfolio - should list published portfolios', async () => {
+        const response = await request(app).get('/portfolio');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.some(portfolio => portfolio.title === 'My Developer Portfolio')).toBe(true);
+      });
+
+      test('PUT /portfolio/:username - should forbid other owners', async () => {
+        const username = 'other' + Date.now();
+        const other = await request(app)
+          .post('/auth/register')
+          .send({ username, email: `${username}@example.com`, fullName: 'Other Owner', password: 'other-password' });
+
         const response = await request(app)
-          .delete(`/skill/${encodeURIComponent(testSkillName)}`);
+          .put(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${other.body.token}`)
+          .send({ title: 'Hijacked' });
+
+        expect(response.status).toBe(403);
+      });
 
+      test('DELETE /portfolio/:username - should soft delete the portfolio', async () => {
+        const response = await request(app)
+          .delete(`/portfolio/${portfolioOwner.username}`)
+          .set('Authorization', `Bearer ${ownerToken}`);
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
+
+        const lookup = await request(app).get(`/portfolio/${portfolioOwner.username}`);
+        expect(lookup.status).toBe(404);
       });
     });
 
@@ -440,7 +3242,11 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       expect(response.body.collections.users).toBeDefined();
       expect(response.body.collections.projects).toBeDefined();
       expect(response.body.collections.skills).toBeDefined();
-      expect(response.body.summary.totalCollections).toBe(4);
+      expect(response.body.collections.experience).toBeDefined();
+      expect(response.body.collections.education).toBeDefined();
+      expect(response.body.collections.certifications).toBeDefined();
+      expect(response.body.collections.portfolios).toBeDefined();
+      expect(response.body.summary.totalCollections).toBe(8);
     });
   });
 
@@ -468,7 +3274,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       // Test login
       const loginResponse = await request(app)
         .post('/auth/login')
-        .send({ username: 'admin', password: 'password123' });
+        .send(testCredentials);
       
       expect(loginResponse.status).toBe(200);
       const token = loginResponse.body.token;
@@ -508,14 +3314,14 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
           theme: { themeName: 'Test', primaryColor: '#000', secondaryColor: '#FFF', fontFamily: 'Arial' },
           user: { username: 'test' + Date.now(), email: 'test@test.com', fullName: 'Test User' },
           project: { title: 'Test', description: 'Test description', technologies: ['Test'], userId: '507f1f77bcf86cd799439011' },
-          skill: { name: 'Test Skill', category: 'frontend', proficiencyLevel: 3 }
+          skill: { name: 'Test Skill', category: 'frontend' }
         };
 
         if (collection === 'theme' || collection === 'project') {
           // Get auth token
           const authResponse = await request(app)
             .post('/auth/login')
-            .send({ username: 'admin', password: 'password123' });
+            .send(testCredentials);
           
           const postResponse = await request(app)
             .post(`/${collection}`)
@@ -526,6 +3332,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
         } else {
           const postResponse = await request(app)
             .post(`/${collection}`)
+            .set('Authorization', `Bearer ${adminToken}`)
             .send(postData[collection]);
           
           expect(postResponse.status).toBeLessThanOrEqual(500);
@@ -539,7 +3346,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
     test('Theme validation - should enforce color format validation', async () => {
       const authResponse = await request(app)
         .post('/auth/login')
-        .send({ username: 'admin', password: 'password123' });
+        .send(testCredentials);
       
       const invalidTheme = {
         themeName: 'Invalid Color Theme',
@@ -567,6 +3374,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
 
       const response = await request(app)
         .post('/user')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send(invalidUser);
 
       expect(response.status).toBe(400);
@@ -578,7 +3386,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
     test('Project validation - should validate GitHub URL format', async () => {
       const authResponse = await request(app)
         .post('/auth/login')
-        .send({ username: 'admin', password: 'password123' });
+        .send(testCredentials);
       
       const invalidProject = {
         title: 'Test Project',
@@ -598,15 +3406,15 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       expect(response.body.error).toBe('Validation Error');
     });
 
-    test('Skill validation - should enforce proficiency level range and category', async () => {
+    test('Skill validation - should enforce category', async () => {
       const invalidSkill = {
         name: 'Invalid Skill',
-        category: 'invalid-category',
-        proficiencyLevel: 6 // Should be 1-5
+        category: 'invalid-category'
       };
 
       const response = await request(app)
         .post('/skill')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send(invalidSkill);
 
       expect(response.status).toBe(400);
@@ -617,8 +3425,8 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
     test('Should validate all POST and PUT routes with comprehensive data validation', async () => {
       // Test empty requests
       const endpoints = [
-        { method: 'post', path: '/user', auth: false },
-        { method: 'post', path: '/skill', auth: false },
+        { method: 'post', path: '/user', auth: true },
+        { method: 'post', path: '/skill', auth: true },
         { method: 'post', path: '/theme', auth: true },
         { method: 'post', path: '/project', auth: true }
       ];
@@ -629,7 +3437,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
         if (endpoint.auth) {
           const authResponse = await request(app)
             .post('/auth/login')
-            .send({ username: 'admin', password: 'password123' });
+            .send(testCredentials);
           
           requestBuilder = requestBuilder.set('Authorization', `Bearer ${authResponse.body.token}`);
         }
@@ -680,6 +3488,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
     test('Should return comprehensive error information', async () => {
       const response = await request(app)
         .post('/user')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({}); // Empty body to trigger validation errors
 
       expect(response.status).toBe(400);
@@ -718,7 +3527,7 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
 
       expect(response.status).toBe(200);
       expect(response.body.summary).toBeDefined();
-      expect(response.body.summary.totalCollections).toBe(4);
+      expect(response.body.summary.totalCollections).toBe(8);
       expect(response.body.collections.themes.byStatus || response.body.collections.themes.total).toBeDefined();
       expect(response.body.collections.skills.byCategory).toBeDefined();
       expect(response.body.collections.projects.byStatus).toBeDefined();
@@ -728,11 +3537,11 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       // Test token generation uniqueness
       const login1 = await request(app)
         .post('/auth/login')
-        .send({ username: 'admin', password: 'password123' });
+        .send(testCredentials);
       
       const login2 = await request(app)
         .post('/auth/login')
-        .send({ username: 'admin', password: 'password123' });
+        .send(testCredentials);
 
       expect(login1.body.token).toBeDefined();
       expect(login2.body.token).toBeDefined();
@@ -764,13 +3573,14 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       // Get authentication token
       const authResponse = await request(app)
         .post('/auth/login')
-        .send({ username: 'admin', password: 'password123' });
+        .send(testCredentials);
       
       const token = authResponse.body.token;
 
       // 1. Create a user
       const userResponse = await request(app)
         .post('/user')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           username: 'integration' + Date.now(),
           email: `integration${Date.now()}@test.com`,
@@ -811,11 +3621,11 @@ describe('Portfolio Builder API - Final Project Part 3 - Complete Test Suite', (
       // 4. Create a skill
       const skillResponse = await request(app)
         .post('/skill')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           name: 'Integration Testing',
           category: 'backend',
-          proficiencyLevel: 5,
-          description: 'Expert at comprehensive API integration testing'
+          description: 'Comprehensive API integration testing'
         });
 
       expect(skillResponse.status).toBe(201);
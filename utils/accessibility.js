@@ -0,0 +1,86 @@
+const { COLOR_MODES } = require('./themeTokens');
+const { contrastRatio, adjustForContrast } = require('./color');
+
+// Minimum WCAG 2.1 contrast ratios for normal and large text
+const CONTRAST_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Foreground/background pairs a theme renders text with. Borders are
+// decorative and not checked.
+const CONTRAST_PAIRS = [
+  { foreground: 'primaryColor', background: 'secondaryColor' },
+  ...COLOR_MODES.flatMap(mode => [
+    { foreground: `modes.${mode}.text`, background: `modes.${mode}.background` },
+    { foreground: `modes.${mode}.text`, background: `modes.${mode}.surface` },
+    { foreground: `modes.${mode}.accent`, background: `modes.${mode}.background` },
+    { foreground: `modes.${mode}.accent`, background: `modes.${mode}.surface` }
+  ])
+];
+
+const getPath = (values, path) => path.split('.').reduce((value, key) => value && value[key], values);
+
+const roundRatio = (ratio) => Math.floor(ratio * 100) / 100;
+
+/**
+ * WCAG 2.1 contrast report for a theme (a document or plain object). Each
+ * pair lists its ratio, AA/AAA results for normal and large text, and
+ * suggested foreground colors for the levels it fails.
+ */
+const contrastReport = (theme) => {
+  const values = typeof theme.toObject === 'function' ? theme.toObject() : theme;
+
+  const pairs = CONTRAST_PAIRS
+    .filter(pair => getPath(values, pair.foreground) && getPath(values, pair.background))
+    .map(pair => {
+      const foreground = getPath(values, pair.foreground);
+      const background = getPath(values, pair.background);
+      const ratio = contrastRatio(foreground, background);
+      const result = {
+        pair: `${pair.foreground} on ${pair.background}`,
+        foreground,
+        background,
+        ratio: roundRatio(ratio)
+      };
+      const suggestions = {};
+
+      for (const [level, minimums] of Object.entries(CONTRAST_LEVELS)) {
+        result[level] = {
+          normal: ratio >= minimums.normal,
+          large: ratio >= minimums.large
+        };
+        if (!result[level].normal) {
+          suggestions[level] = adjustForContrast(foreground, background, minimums.normal);
+        }
+      }
+
+      if (Object.keys(suggestions).length > 0) {
+        result.suggestedForeground = suggestions;
+      }
+      return result;
+    });
+
+  return {
+    passesAA: pairs.every(pair => pair.AA.normal),
+    passesAAA: pairs.every(pair => pair.AAA.normal),
+    pairs
+  };
+};
+
+// Pairs below the normal-text minimum for `level` ("AA" or "AAA"), as
+// validation messages
+const contrastFailures = (report, level) => report.pairs
+  .filter(pair => !pair[level].normal)
+  .map(pair => {
+    const suggestion = pair.suggestedForeground[level];
+    return `Contrast of ${pair.pair} is ${pair.ratio}:1; WCAG ${level} requires ${CONTRAST_LEVELS[level].normal}:1` +
+      (suggestion ? ` (try ${suggestion} as the foreground)` : '');
+  });
+
+module.exports = {
+  CONTRAST_LEVELS,
+  CONTRAST_PAIRS,
+  contrastReport,
+  contrastFailures
+};
@@ -0,0 +1,85 @@
+// "#RRGGBB" or shorthand "#RGB"
+const HEX_COLOR = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+// Expand shorthand and lowercase, so "#ABC" becomes "#aabbcc"
+const normalizeHex = (hex) => {
+  const digits = hex.slice(1);
+  const full = digits.length === 3
+    ? digits.split('').map(digit => digit + digit).join('')
+    : digits;
+
+  return `#${full.toLowerCase()}`;
+};
+
+// [r, g, b] channels (0-255) of a hex color
+const toRgb = (hex) => {
+  const full = normalizeHex(hex);
+  return [1, 3, 5].map(offset => parseInt(full.slice(offset, offset + 2), 16));
+};
+
+const toHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+// WCAG 2.1 relative luminance (0 for black, 1 for white)
+const relativeLuminance = (hex) => {
+  const [r, g, b] = toRgb(hex).map(channel => {
+    const srgb = channel / 255;
+    return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// WCAG 2.1 contrast ratio between two colors, from 1 to 21
+const contrastRatio = (first, second) => {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Blend `amount` (0-1) of `tint` into `base`
+const mixColors = (base, tint, amount) => {
+  const from = toRgb(base);
+  const to = toRgb(tint);
+  return toHex(from.map((channel, i) => channel + (to[i] - channel) * amount));
+};
+
+/**
+ * The color closest to `foreground` with at least `target` contrast against
+ * `background`, found by darkening or lightening it (whichever gets there
+ * with less change). Returns `foreground` itself when it already has enough
+ * contrast and null when neither direction can reach the target.
+ */
+const adjustForContrast = (foreground, background, target) => {
+  if (contrastRatio(foreground, background) >= target) {
+    return normalizeHex(foreground);
+  }
+
+  const candidates = ['#000000', '#ffffff']
+    .filter(extreme => contrastRatio(extreme, background) >= target)
+    .map(extreme => {
+      let low = 0;
+      let high = 1;
+      for (let i = 0; i < 16; i++) {
+        const amount = (low + high) / 2;
+        if (contrastRatio(mixColors(foreground, extreme, amount), background) >= target) {
+          high = amount;
+        } else {
+          low = amount;
+        }
+      }
+      return { amount: high, color: mixColors(foreground, extreme, high) };
+    })
+    // Rounding to hex can land just under the target
+    .filter(({ color }) => contrastRatio(color, background) >= target)
+    .sort((a, b) => a.amount - b.amount);
+
+  return candidates.length > 0 ? candidates[0].color : null;
+};
+
+module.exports = {
+  HEX_COLOR,
+  normalizeHex,
+  toRgb,
+  mixColors,
+  relativeLuminance,
+  contrastRatio,
+  adjustForContrast
+};
@@ -0,0 +1,27 @@
+// Leading bytes of each accepted image format
+const SIGNATURES = [
+  { type: 'image/png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/jpeg', matches: (bytes) => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'image/gif', matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')) },
+  {
+    type: 'image/webp',
+    matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+const IMAGE_TYPES = SIGNATURES.map(signature => signature.type);
+
+/**
+ * Detect an image's type from its magic bytes rather than the file name or
+ * the client's Content-Type. Returns the MIME type, or null when the bytes
+ * aren't a PNG, JPEG, GIF or WebP image.
+ */
+const sniffImageType = (buffer) => {
+  const match = SIGNATURES.find(signature => buffer.length >= 12 && signature.matches(buffer));
+  return match ? match.type : null;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  sniffImageType
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Minimal HS256 JSON Web Token implementation built on Node's crypto module
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const createSignature = (data, secret) => {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+};
+
+// Sign a payload; `iat` and `exp` are added from expiresIn (seconds)
+const sign = (payload, secret, expiresIn) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat: issuedAt, exp: issuedAt + expiresIn };
+  const data = `${encode(HEADER)}.${encode(claims)}`;
+
+  return `${data}.${createSignature(data, secret)}`;
+};
+
+// Verify signature and expiry, returning the claims or throwing an Error
+const verify = (token, secret) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(createSignature(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    if (decode(header).alg !== HEADER.alg) {
+      throw new Error();
+    }
+    claims = decode(payload);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  sign,
+  verify
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt parameters (N, r, p) are stored alongside each hash so they can be
+// raised later without invalidating existing passwords
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Hash a password into the format "scrypt$N$r$p$salt$hash"
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt, derivedKey.toString('hex')].join('$');
+};
+
+// Hash checked when there is no stored one, so unknown users and accounts
+// without a password take as long to reject as a wrong password
+let dummyHash;
+const getDummyHash = () => {
+  dummyHash = dummyHash || hashPassword(crypto.randomBytes(SALT_BYTES).toString('hex'));
+  return dummyHash;
+};
+
+const matchesHash = async (password, storedHash) => {
+  const [algorithm, N, r, p, salt, hash] = storedHash.split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(derivedKey, expected);
+};
+
+// Compare a password against a stored hash in constant time. Without a
+// stored hash the work is still done and the result is false.
+const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return false;
+  }
+
+  if (!storedHash) {
+    await matchesHash(password, await getDummyHash());
+    return false;
+  }
+
+  return matchesHash(password, storedHash);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,16 @@
+// Public base URL of this API, for links in emails, media URLs and OAuth
+// callbacks. Outside production it falls back to the host handling the
+// request; in production API_BASE_URL is required, since the Host header is
+// client-controlled and would let a caller point those links at their own
+// domain.
+const getPublicBaseUrl = (req) => {
+  if (process.env.API_BASE_URL) {
+    return process.env.API_BASE_URL.replace(/\/+$/, '');
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('API_BASE_URL must be set in production');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+};
+
+module.exports = { getPublicBaseUrl };
@@ -0,0 +1,20 @@
+// Trailing "js" in names like "Node.js", "NodeJS" or "React JS"
+const JS_SUFFIX = /[\s.-]*js$/;
+
+// Everything except letters, digits, "+" and "#" (so C, C++ and C# stay distinct)
+const PUNCTUATION = /[^\p{L}\p{N}+#]/gu;
+
+/**
+ * Normalize a skill name or alias for lookups: case, whitespace and
+ * punctuation are ignored and a trailing "js" is dropped, so "Node.js",
+ * "NodeJS" and "node" all become "node". The suffix is kept when too little
+ * would remain ("JS", "EJS").
+ */
+const normalizeSkillName = (value) => {
+  const lowered = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  const withoutSuffix = lowered.replace(JS_SUFFIX, '').replace(PUNCTUATION, '');
+
+  return withoutSuffix.length >= 2 ? withoutSuffix : lowered.replace(PUNCTUATION, '');
+};
+
+module.exports = { normalizeSkillName };
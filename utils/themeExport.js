@@ -0,0 +1,152 @@
+const { COLOR_ROLES, COLOR_MODES, RADIUS_SIZES } = require('./themeTokens');
+
+// Generic family appended to each font so text still renders without it
+const SERIF_FONTS = ['Times New Roman', 'Georgia'];
+
+const fontStack = (font) => [font, SERIF_FONTS.includes(font) ? 'serif' : 'sans-serif'];
+
+const cssFontStack = (font) => fontStack(font)
+  .map(family => (family.includes(' ') ? `"${family}"` : family))
+  .join(', ');
+
+const px = (value) => `${value}px`;
+
+// Plain token values of a theme document, with every token list defaulted
+// so partially migrated themes still export
+const tokenValues = (theme) => {
+  const values = typeof theme.toObject === 'function' ? theme.toObject() : theme;
+  return {
+    themeName: values.themeName,
+    primaryColor: values.primaryColor,
+    secondaryColor: values.secondaryColor,
+    modes: values.modes || {},
+    typography: values.typography || {},
+    typeScale: (values.typography && values.typography.typeScale) || [],
+    spacing: values.spacing || [],
+    radius: values.radius || {}
+  };
+};
+
+const modeColors = (palette) => COLOR_ROLES
+  .filter(role => palette && palette[role])
+  .map(role => [role, palette[role]]);
+
+/**
+ * Stylesheet of CSS custom properties. Light colors apply by default; dark
+ * colors apply under prefers-color-scheme: dark and [data-theme="dark"]
+ * ([data-theme="light"] forces light). Type scale and spacing steps are
+ * numbered from 1 and 0 respectively.
+ */
+const toCss = (theme) => {
+  const tokens = tokenValues(theme);
+  const colorDeclarations = (palette) => modeColors(palette)
+    .map(([role, value]) => `  --theme-color-${role}: ${value};`);
+
+  const rootDeclarations = [
+    `  --theme-color-primary: ${tokens.primaryColor};`,
+    `  --theme-color-secondary: ${tokens.secondaryColor};`,
+    ...colorDeclarations(tokens.modes.light),
+    ...['heading', 'body']
+      .filter(role => tokens.typography[`${role}Font`])
+      .map(role => `  --theme-font-${role}: ${cssFontStack(tokens.typography[`${role}Font`])};`),
+    ...tokens.typeScale.map((size, i) => `  --theme-font-size-${i + 1}: ${px(size)};`),
+    ...tokens.spacing.map((step, i) => `  --theme-space-${i}: ${px(step)};`),
+    ...RADIUS_SIZES
+      .filter(size => tokens.radius[size] !== undefined)
+      .map(size => `  --theme-radius-${size}: ${px(tokens.radius[size])};`)
+  ];
+  const block = (selector, declarations, indent = '') => [
+    `${indent}${selector} {`,
+    ...declarations.map(line => indent + line),
+    `${indent}}`
+  ].join('\n');
+
+  const sections = [
+    `/* Theme: ${String(tokens.themeName).replace(/\*\//g, '* /')} */`,
+    block(':root,\n[data-theme="light"]', rootDeclarations)
+  ];
+
+  const dark = colorDeclarations(tokens.modes.dark);
+  if (dark.length > 0) {
+    sections.push(
+      `@media (prefers-color-scheme: dark) {\n${block(':root:not([data-theme="light"])', dark, '  ')}\n}`,
+      block('[data-theme="dark"]', dark)
+    );
+  }
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+/**
+ * Tailwind config fragment ({ theme: { extend } }). Light colors sit at
+ * the top level of `colors` and dark ones under `colors.dark`, so classes
+ * read `bg-background` and `dark:bg-dark-background`.
+ */
+const toTailwindConfig = (theme) => {
+  const tokens = tokenValues(theme);
+  const fontFamily = {};
+  for (const role of ['heading', 'body']) {
+    if (tokens.typography[`${role}Font`]) {
+      fontFamily[role] = fontStack(tokens.typography[`${role}Font`]);
+    }
+  }
+
+  return {
+    theme: {
+      extend: {
+        colors: {
+          primary: tokens.primaryColor,
+          secondary: tokens.secondaryColor,
+          ...Object.fromEntries(modeColors(tokens.modes.light)),
+          dark: Object.fromEntries(modeColors(tokens.modes.dark))
+        },
+        fontFamily,
+        fontSize: Object.fromEntries(tokens.typeScale.map((size, i) => [String(i + 1), px(size)])),
+        spacing: Object.fromEntries(tokens.spacing.map((step, i) => [String(i), px(step)])),
+        borderRadius: Object.fromEntries(RADIUS_SIZES
+          .filter(size => tokens.radius[size] !== undefined)
+          .map(size => [size, px(tokens.radius[size])]))
+      }
+    }
+  };
+};
+
+/**
+ * Style Dictionary source tokens: nested groups ending in { value, type }
+ * leaves (color, fontFamily, dimension).
+ */
+const toStyleDictionary = (theme) => {
+  const tokens = tokenValues(theme);
+  const token = (value, type) => ({ value, type });
+  const colors = (palette) => Object.fromEntries(modeColors(palette)
+    .map(([role, value]) => [role, token(value, 'color')]));
+
+  const family = {};
+  for (const role of ['heading', 'body']) {
+    if (tokens.typography[`${role}Font`]) {
+      family[role] = token(fontStack(tokens.typography[`${role}Font`]).join(', '), 'fontFamily');
+    }
+  }
+
+  return {
+    color: {
+      primary: token(tokens.primaryColor, 'color'),
+      secondary: token(tokens.secondaryColor, 'color'),
+      ...Object.fromEntries(COLOR_MODES.map(mode => [mode, colors(tokens.modes[mode])]))
+    },
+    font: {
+      family,
+      size: Object.fromEntries(tokens.typeScale.map((size, i) => [String(i + 1), token(px(size), 'dimension')]))
+    },
+    spacing: Object.fromEntries(tokens.spacing.map((step, i) => [String(i), token(px(step), 'dimension')])),
+    radius: Object.fromEntries(RADIUS_SIZES
+      .filter(size => tokens.radius[size] !== undefined)
+      .map(size => [size, token(px(tokens.radius[size]), 'dimension')]))
+  };
+};
+
+module.exports = {
+  toCss,
+  toTailwindConfig,
+  toStyleDictionary
+};
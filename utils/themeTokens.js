@@ -0,0 +1,117 @@
+const { normalizeHex, mixColors, adjustForContrast } = require('./color');
+
+const COLOR_ROLES = ['background', 'surface', 'text', 'accent', 'border'];
+const COLOR_MODES = ['light', 'dark'];
+const RADIUS_SIZES = ['small', 'medium', 'large'];
+
+// Font sizes and spacing steps in px, smallest first
+const DEFAULT_TYPE_SCALE = [12, 14, 16, 20, 24, 32, 40];
+const DEFAULT_SPACING = [0, 4, 8, 12, 16, 24, 32, 48, 64];
+const DEFAULT_RADIUS = { small: 2, medium: 4, large: 8 };
+
+// Every design-token path on a theme, in dot notation
+const TOKEN_PATHS = [
+  ...COLOR_MODES.flatMap(mode => COLOR_ROLES.map(role => `modes.${mode}.${role}`)),
+  'typography.headingFont',
+  'typography.bodyFont',
+  'typography.typeScale',
+  'spacing',
+  ...RADIUS_SIZES.map(size => `radius.${size}`)
+];
+
+// Fields a fork inherits from its parent unless it overrides them
+const INHERITABLE_PATHS = ['primaryColor', 'secondaryColor', 'fontFamily', ...TOKEN_PATHS];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten request fields into { path, value } overrides, e.g.
+ * { modes: { dark: { accent } } } becomes modes.dark.accent. Returns the
+ * overrides and any paths that aren't inheritable theme fields.
+ */
+const toFieldOverrides = (data, prefix = '') => {
+  const result = { overrides: [], unknown: [] };
+
+  for (const [key, value] of Object.entries(data)) {
+    const path = prefix + key;
+    if (INHERITABLE_PATHS.includes(path)) {
+      result.overrides.push({ path, value });
+    } else if (isPlainObject(value) && INHERITABLE_PATHS.some(known => known.startsWith(`${path}.`))) {
+      const nested = toFieldOverrides(value, `${path}.`);
+      result.overrides.push(...nested.overrides);
+      result.unknown.push(...nested.unknown);
+    } else {
+      result.unknown.push(path);
+    }
+  }
+
+  return result;
+};
+
+// WCAG AA for normal text
+const READABLE_CONTRAST = 4.5;
+
+// Darken or lighten a text color until it is readable on each background
+const readableOn = (color, backgrounds) => backgrounds.reduce(
+  (adjusted, background) => adjustForContrast(adjusted, background, READABLE_CONTRAST) || adjusted,
+  normalizeHex(color)
+);
+
+/**
+ * Derive a full token set from the original two-color theme fields.
+ * The primary color becomes the accent; light and dark palettes are
+ * neutral backgrounds faintly tinted with the primary and secondary colors.
+ * Text and accent colors are adjusted to meet WCAG AA on both backgrounds.
+ * Colors are left out unless both colors are given, fonts unless
+ * fontFamily is given.
+ */
+const deriveTokens = ({ primaryColor, secondaryColor, fontFamily }) => {
+  const tokens = {};
+
+  if (primaryColor && secondaryColor) {
+    const light = {
+      background: '#ffffff',
+      surface: mixColors('#ffffff', secondaryColor, 0.1)
+    };
+    const dark = {
+      background: mixColors('#121212', primaryColor, 0.08),
+      surface: mixColors('#1e1e1e', secondaryColor, 0.1)
+    };
+
+    tokens.modes = {
+      light: {
+        ...light,
+        text: readableOn(mixColors('#111111', primaryColor, 0.15), [light.background, light.surface]),
+        accent: readableOn(primaryColor, [light.background, light.surface]),
+        border: mixColors('#ffffff', primaryColor, 0.25)
+      },
+      dark: {
+        ...dark,
+        text: readableOn(mixColors('#f5f5f5', secondaryColor, 0.1), [dark.background, dark.surface]),
+        accent: readableOn(mixColors(primaryColor, '#ffffff', 0.25), [dark.background, dark.surface]),
+        border: mixColors('#2a2a2a', primaryColor, 0.3)
+      }
+    };
+  }
+
+  tokens.typography = fontFamily
+    ? { headingFont: fontFamily, bodyFont: fontFamily, typeScale: [...DEFAULT_TYPE_SCALE] }
+    : { typeScale: [...DEFAULT_TYPE_SCALE] };
+  tokens.spacing = [...DEFAULT_SPACING];
+  tokens.radius = { ...DEFAULT_RADIUS };
+
+  return tokens;
+};
+
+module.exports = {
+  COLOR_ROLES,
+  COLOR_MODES,
+  RADIUS_SIZES,
+  DEFAULT_TYPE_SCALE,
+  DEFAULT_SPACING,
+  DEFAULT_RADIUS,
+  TOKEN_PATHS,
+  INHERITABLE_PATHS,
+  toFieldOverrides,
+  deriveTokens
+};
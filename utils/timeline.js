@@ -0,0 +1,14 @@
+// Reverse-chronological timeline order for entries with startDate/endDate:
+// open-ended entries (no end date) first, then by end date and start date,
+// newest first. Use with Array.prototype.sort.
+const compareTimeline = (a, b) => {
+  const endA = a.endDate ? a.endDate.getTime() : Infinity;
+  const endB = b.endDate ? b.endDate.getTime() : Infinity;
+
+  if (endA !== endB) {
+    return endB - endA;
+  }
+  return b.startDate - a.startDate;
+};
+
+module.exports = { compareTimeline };